@@ -50,6 +50,20 @@ Errors = require(config.path + 'utilities/Errors');
 		 */
 		app: null,
 
+		/**
+		 * HTTP servers: application & metrics, when on a separate port
+		 *
+		 * @type {Array}
+		 */
+		servers: [],
+
+		/**
+		 * Whether a shutdown is in progress
+		 *
+		 * @type {Boolean}
+		 */
+		stopping: false,
+
 		/**
 		 * Setup functions for the ExpressJS app
 		 *
@@ -57,6 +71,61 @@ Errors = require(config.path + 'utilities/Errors');
 		 */
 		setup: {
 
+			/**
+			 * Connect to the database, retrying with exponential backoff
+			 * (config.database.retry)
+			 *
+			 * @param  {Number} attempt Attempt number, starting at 1
+			 *
+			 * @return {Promise}
+			 *
+			 * @private
+			 */
+			connect: function (attempt) {
+
+				return libs.Promise.resolve(libs.Database.connect(config.database.url))
+					.catch(internals.setup.retry.bind(this, attempt || 1));
+			},
+
+			/**
+			 * Retry a failed database connection, unless out of attempts
+			 *
+			 * @param  {Number} attempt Failed attempt number
+			 * @param  {Error}  error   Connection error
+			 *
+			 * @return {Promise}
+			 *
+			 * @private
+			 */
+			retry: function (attempt, error) {
+
+				var delay = libs.ms(config.database.retry.delay) * Math.pow(2, attempt - 1);
+
+				if (attempt >= config.database.retry.attempts) {
+					throw new Error('Database connection failed after ' + attempt + ' attempts: ' + error.message);
+				}
+
+				libs.console.warn('Database connection failed (attempt', attempt, 'of',
+					config.database.retry.attempts + '):', error.message + ', retrying in', delay, 'ms');
+				return libs.Promise.delay(delay)
+					.then(internals.setup.connect.bind(this, attempt + 1));
+			},
+
+			/**
+			 * Create the admin credential when storage is in-memory: the store starts
+			 * empty & CLI commands run in another process, so it can't be created there
+			 *
+			 * @return {Promise|void}
+			 *
+			 * @private
+			 */
+			bootstrap: function () {
+
+				if (config.database.adapter === 'memory') {
+					return libs.Commands.run({name: 'admin:token', flags: {force: false}});
+				}
+			},
+
 			/**
 			 * Setup express application
 			 *
@@ -67,14 +136,19 @@ Errors = require(config.path + 'utilities/Errors');
 			application: function () {
 
 				internals.app = libs.express();
-				internals.app.listen(config.port, config.ip);
 				internals.app.disable('x-powered-by');
 				internals.app.disable('etag');
+				internals.app.set('trust proxy', config.limits.proxy);
+				internals.app.use(libs.console.identify);
+				internals.app.use(libs.Async.timeout);
+				internals.app.use(libs.Metrics.track);
+				internals.app.use(libs.Async.wrap(libs.RateLimiter.ip));
 				internals.app.use(libs.bodyParser.json());
 			},
 
 			/**
-			 * Setup a single route
+			 * Setup a single route, preceded by its rate limit, if configured.
+			 * Actions are wrapped so that their errors & rejections reach the error handler
 			 *
 			 * @param  {Object} route Route w/ URL, method and actions
 			 *
@@ -84,13 +158,14 @@ Errors = require(config.path + 'utilities/Errors');
 			 */
 			route: function (route) {
 
-				var options = [route.url].concat(route.actions);
+				var actions = libs.RateLimiter.route(route).concat(route.actions);
+				var options = [route.url].concat(libs._.map(actions, libs.Async.wrap));
 				internals.app[route.method].apply(internals.app, options);
 				libs.console.info('Route enabled:', route.method, route.url);
 			},
 
 			/**
-			 * Setup an array of routes from a controller
+			 * Setup an array of routes, e.g. the routes of all controllers
 			 *
 			 * @param  {Array} routes Array of routes
 			 *
@@ -113,23 +188,175 @@ Errors = require(config.path + 'utilities/Errors');
 			errorHandlers: function () {
 
 				internals.app.use(libs.ErrorHandler);
+			},
+
+			/**
+			 * Start listening, once routes & error handlers are registered
+			 *
+			 * @return {Promise} Resolves when listening
+			 *
+			 * @private
+			 */
+			listen: function () {
+
+				return new libs.Promise(function (resolve, reject) {
+
+					var server = internals.app.listen(config.port, config.ip, resolve);
+
+					server.on('error', reject);
+					internals.servers.push(server);
+				})
+					.then(libs.Metrics.listen)
+					.then(function (server) {
+
+						if (server) {
+							internals.servers.push(server);
+						}
+					});
+			},
+
+			/**
+			 * Shut down gracefully on SIGTERM & SIGINT
+			 *
+			 * @return {void}
+			 *
+			 * @private
+			 */
+			signals: function () {
+
+				process.once('SIGTERM', internals.shutdown.bind(this, 'SIGTERM'));
+				process.once('SIGINT', internals.shutdown.bind(this, 'SIGINT'));
+			},
+
+			/**
+			 * Report a successful start
+			 *
+			 * @return {void}
+			 *
+			 * @private
+			 */
+			started: function () {
+
+				libs.console.info('Application started on port', config.port);
+			},
+
+			/**
+			 * Report a failure and exit
+			 *
+			 * @param  {String} context What failed, e.g. 'Startup failed:'
+			 * @param  {Error}  error   Error
+			 *
+			 * @return {void}
+			 *
+			 * @private
+			 */
+			failure: function (context, error) {
+
+				libs.console.error(context, error.message);
+				libs.console.flush().then(process.exit.bind(process, 1));
+			}
+		},
+
+		/**
+		 * Stop a server from accepting connections. Keep-alive connections
+		 * are closed as soon as their in-flight requests are done
+		 *
+		 * @param  {Object} server HTTP server
+		 *
+		 * @return {Promise}       Resolves when in-flight requests are done
+		 *
+		 * @private
+		 */
+		close: function (server) {
+
+			return new libs.Promise(function (resolve) {
+
+				var idle = setInterval(server.closeIdleConnections.bind(server), 100);
+
+				server.close(function () {
+
+					clearInterval(idle);
+					resolve();
+				});
+				server.closeIdleConnections();
+			});
+		},
+
+		/**
+		 * Shut down: stop accepting connections, drain in-flight requests,
+		 * flush pending analytics, token usage & log writes & close the database connection.
+		 * Exits with an error when not done within config.shutdown.timeout
+		 *
+		 * @param  {String} signal Received signal
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		shutdown: function (signal) {
+
+			if (internals.stopping) {
+				return;
 			}
+			internals.stopping = true;
+			libs.console.info('Received', signal + ', shutting down');
+
+			setTimeout(internals.setup.failure.bind(this, 'Shutdown failed:', new Error('Timed out')),
+				libs.ms(config.shutdown.timeout)).unref();
+
+			libs.Promise.map(internals.servers, internals.close)
+				.then(function () {
+
+					libs.console.info('Connections drained');
+					return libs.Promise.all([libs.Analytics.flush(), libs.TokenUsage.flush()]);
+				})
+				.then(libs.console.flush)
+				.then(libs.Database.close)
+				.then(process.exit.bind(process, 0))
+				.catch(internals.setup.failure.bind(this, 'Shutdown failed:'));
 		}
 	};
 
-	libs.Database.connect(config.database.url)
-		.then(internals.setup.application.bind(this, internals.app))
-		.then(internals.setup.routes.bind(this, Security.routes))
-		.then(Security.admin)
-		.then(internals.setup.errorHandlers);
+	var command = libs.Commands.parse(process.argv.slice(2));
 
-	libs.console.info('Application started on port', config.port);
+	if (command) {
+		internals.setup.connect()
+			.then(libs.Commands.run.bind(this, command))
+			.then(process.exit.bind(process, 0))
+			.catch(internals.setup.failure.bind(this, 'Command failed:'));
+	} else {
+		internals.setup.connect()
+			.then(internals.setup.bootstrap)
+			.then(internals.setup.application)
+			.then(libs.Router.discover.bind(this, config.path + 'controllers/'))
+			.then(internals.setup.routes)
+			.then(internals.setup.errorHandlers)
+			.then(internals.setup.listen)
+			.then(internals.setup.signals)
+			.then(libs.RetentionJob.start)
+			.then(libs.RateLimiter.start)
+			.then(libs.TokenCache.start)
+			.then(libs.TokenUsage.start)
+			.then(internals.setup.started)
+			.catch(internals.setup.failure.bind(this, 'Startup failed:'));
+	}
 
 })({
 	express: 		require('express'),
 	_: 				require('underscore'),
+	ms: 			require('ms'),
+	Promise: 		require('bluebird/js/release/promise')(),
 	bodyParser: 	require('body-parser'),
 	console: 		require(config.path + 'utilities/Console'),
 	Database: 		require(config.path + 'utilities/Database'),
-	ErrorHandler: 	require(config.path + 'utilities/ErrorHandler')
+	ErrorHandler: 	require(config.path + 'utilities/ErrorHandler'),
+	Commands: 		require(config.path + 'utilities/Commands'),
+	Router: 		require(config.path + 'utilities/Router'),
+	Async: 			require(config.path + 'utilities/Async'),
+	Metrics: 		require(config.path + 'utilities/Metrics'),
+	Analytics: 		require(config.path + 'utilities/Analytics'),
+	RetentionJob: 	require(config.path + 'utilities/Retention'),
+	RateLimiter: 	require(config.path + 'utilities/RateLimiter'),
+	TokenCache: 	require(config.path + 'utilities/TokenCache'),
+	TokenUsage: 	require(config.path + 'utilities/TokenUsage')
 });
\ No newline at end of file
@@ -1,23 +1,245 @@
+/**
+ * Layered configuration: config/default.js, overridden by the environment file
+ * (config/<NODE_ENV>.js, development by default), overridden by environment variables.
+ *
+ * HYDRA_<KEY>__<NESTED KEY>=value overrides any key, e.g. HYDRA_DATABASE__URL or
+ * HYDRA_SECURITY__REFRESH__VALIDITY. Values are parsed as JSON when possible (numbers,
+ * booleans, lists & objects). HYDRA_<KEY>_FILE=path reads a value from a file,
+ * e.g. HYDRA_SECURITY__SECRET_FILE=/run/secrets/jwt.
+ *
+ * The result is validated against config/schema.js. In production, the default
+ * secret is refused. Invalid configuration stops the application from starting
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Configuration
+ *
+ * @public
+ */
 module.exports = (function (libs) {
 
-	var config = {
-		path: libs.path.normalize(__dirname + '/'),
-		port: 10040,
-		ip: '127.0.0.1'
-	};
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
 
-	config.database = {
-		url: 'mongodb://localhost:27017/NodeJSAPI'
-	};
+		/**
+		 * Prefix of configuration environment variables
+		 *
+		 * @type {String}
+		 */
+		prefix: 'HYDRA_',
+
+		/**
+		 * Suffix of environment variables naming a file to read the value from
+		 *
+		 * @type {String}
+		 */
+		file: '_FILE',
+
+		/**
+		 * Separator of nested keys in environment variable names
+		 *
+		 * @type {String}
+		 */
+		separator: '__',
+
+		/**
+		 * Merge configuration layers. Objects are merged, other values (including lists) replaced
+		 *
+		 * @param  {Object} target Configuration, changed in place
+		 * @param  {Object} source Overrides
+		 *
+		 * @return {Object}        Configuration
+		 *
+		 * @private
+		 */
+		merge: function (target, source) {
+
+			// Iterate keys: underscore treats objects with a 'length' (e.g. logs.redact) as lists
+			libs._.each(libs._.keys(source), function (key) {
+
+				var value = source[key];
+
+				if (internals.isObject(value) && internals.isObject(target[key])) {
+					internals.merge(target[key], value);
+				} else {
+					target[key] = internals.isObject(value) ? internals.merge({}, value) :
+						(libs._.isArray(value) ? value.slice() : value);
+				}
+			});
+			return target;
+		},
+
+		/**
+		 * Checks whether a value is a plain object (not a list)
+		 *
+		 * @param  {*}       value Value
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		isObject: function (value) {
+
+			return libs._.isObject(value) && !libs._.isArray(value) && !libs._.isFunction(value);
+		},
+
+		/**
+		 * Find the configuration key matching an environment variable name part, ignoring case
+		 *
+		 * @param  {Object} object Configuration object
+		 * @param  {String} name   Name part, e.g. REFRESH
+		 *
+		 * @return {String}        Existing key, or the lower case name
+		 *
+		 * @private
+		 */
+		key: function (object, name) {
+
+			return libs._.find(libs._.keys(object), function (key) {
+
+				return key.toLowerCase() === name.toLowerCase();
+			}) || name.toLowerCase();
+		},
+
+		/**
+		 * Parse an environment variable value
+		 *
+		 * @param  {String} value Raw value
+		 *
+		 * @return {*}            JSON value, or the raw value
+		 *
+		 * @private
+		 */
+		parse: function (value) {
+
+			try {
+				return JSON.parse(value);
+			} catch (error) {
+				return value;
+			}
+		},
+
+		/**
+		 * Apply the configuration environment variables
+		 *
+		 * @param  {Object} config    Configuration, changed in place
+		 * @param  {Object} variables Environment variables
+		 *
+		 * @return {Object}           Configuration
+		 *
+		 * @private
+		 */
+		environment: function (config, variables) {
+
+			libs._.chain(variables)
+				.keys()
+				.filter(function (name) {
 
-	config.analytics = 'UA-74887914-2';
+					return name.indexOf(internals.prefix) === 0;
+				})
+				.sort()
+				.each(function (name) {
 
-	config.security = {
-		secret: 'Hash Oregano Potatoes 1900 Guns and £400 in debt'
+					var path = name.slice(internals.prefix.length);
+					var fromFile = path.slice(-internals.file.length) === internals.file;
+					var value = variables[name];
+					var parts;
+					var parent;
+
+					if (fromFile) {
+						path = path.slice(0, -internals.file.length);
+						value = libs.fs.readFileSync(libs.path.resolve(value), 'utf8').trim();
+					}
+
+					parts = path.split(internals.separator);
+					parent = libs._.reduce(libs._.initial(parts), function (object, part) {
+
+						var key = internals.key(object, part);
+
+						object[key] = internals.isObject(object[key]) ? object[key] : {};
+						return object[key];
+					}, config);
+
+					// Secrets read from files are kept as strings
+					parent[internals.key(parent, libs._.last(parts))] = fromFile ? value : internals.parse(value);
+				});
+
+			return config;
+		},
+
+		/**
+		 * Validate the configuration
+		 *
+		 * @param  {Object} config   Configuration
+		 * @param  {Object} defaults Default configuration
+		 *
+		 * @return {Array}           Problems, empty when valid
+		 *
+		 * @private
+		 */
+		validate: function (config, defaults) {
+
+			var ajv = new libs.Ajv({allErrors: true, coerceTypes: true});
+			var validate;
+			var problems;
+
+			ajv.addFormat('duration', function (value) {
+
+				return value.length > 0 && libs.ms(value) > 0;
+			});
+			validate = ajv.compile(libs.schema);
+			validate(config);
+
+			// 'if' errors only repeat the errors of the 'then' schema
+			problems = libs._.map(libs._.reject(validate.errors, {keyword: 'if'}), function (error) {
+
+				var field = error.dataPath.replace(/^\./, '');
+
+				if (error.keyword === 'required') {
+					field += (field ? '.' : '') + error.params.missingProperty;
+				}
+				return field + ' ' + error.message;
+			});
+
+			if (config.environment === 'production' && config.security && config.security.secret === defaults.security.secret) {
+				problems.push('security.secret must be changed from the default secret in production');
+			}
+			return problems;
+		}
 	};
 
+	var environment = process.env.NODE_ENV || 'development';
+	var defaults = require('./config/default');
+	var config = internals.merge({}, defaults);
+	var file;
+	var problems;
+
+	if (!/^[a-z0-9_-]+$/i.test(environment)) {
+		throw new Error('Invalid NODE_ENV "' + environment + '"');
+	}
+	file = libs.path.join(__dirname, 'config', environment + '.js');
+	if (libs.fs.existsSync(file)) {
+		internals.merge(config, require(file));
+	}
+	internals.environment(config, process.env);
+	config.environment = environment;
+
+	problems = internals.validate(config, defaults);
+	if (problems.length > 0) {
+		throw new Error('Invalid ' + environment + ' configuration:\n  ' + problems.join('\n  '));
+	}
+
 	return config;
 
 })({
-	path: 	require('path')
-});
\ No newline at end of file
+	_:			require('underscore'),
+	fs:			require('fs'),
+	ms:			require('ms'),
+	path:		require('path'),
+	Ajv:		require('ajv'),
+	schema:		require('./config/schema')
+});
@@ -0,0 +1,170 @@
+/**
+ * Default configuration, for every environment. Overridden by the environment
+ * file (config/<NODE_ENV>.js) & environment variables, see config.js
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Configuration
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	var config = {
+		path: libs.path.normalize(__dirname + '/../'),
+		port: 10040,
+		ip: '127.0.0.1'
+	};
+
+	// Storage adapter: 'mongo', or 'memory' for running without a database.
+	// Failed connections are retried, the delay doubling after every attempt
+	config.database = {
+		adapter: 'mongo',
+		url: 'mongodb://localhost:27017/NodeJSAPI',
+		retry: {
+			attempts: 5,
+			delay: '1 second'
+		}
+	};
+
+	// Requests not answered within the timeout get a RequestTimeoutError
+	config.requests = {
+		timeout: '30 seconds'
+	};
+
+	// On SIGTERM & SIGINT, in-flight requests & log writes must finish within the timeout
+	config.shutdown = {
+		timeout: '10 seconds'
+	};
+
+	// Retention period of log entries, per type. Expired entries are archived
+	// to gzip'd NDJSON files in the archive directory, then removed
+	config.logs = {
+		retention: {
+			request: '30 days',
+			operation: '90 days',
+			error: '180 days'
+		},
+		archive: 'archive/',
+		interval: '1 hour',
+		// Tokens are only logged as a fingerprint & jti. Payload fields matching these
+		// paths are masked ('password' matches at any depth, 'a.*.b' from the root)
+		// and payloads longer than the maximum length are truncated
+		redact: {
+			paths: ['password', 'secret', 'token', 'refresh', 'authorization'],
+			mask: '[REDACTED]',
+			length: 4096
+		}
+	};
+
+	// Logging: messages below the level threshold are dropped. Transports (stdout,
+	// file, database & syslog) receive 'message' records, log 'entry' records
+	// (request, operation & error) or both, written in batches every flush interval
+	config.console = {
+		level: 'info',
+		flush: '1 second',
+		batch: 100,
+		transports: [{
+			type: 'stdout',
+			records: ['message']
+		}, {
+			type: 'database',
+			records: ['entry']
+		}]
+		// Other transports:
+		// { type: 'file', path: 'logs/hydra.log', size: 10485760, files: 5, records: ['message', 'entry'] }
+		// { type: 'syslog', host: '127.0.0.1', port: 514, level: 'warn', records: ['message'] }
+		// { type: 'syslog', path: '/var/run/syslog.sock', facility: 16, records: ['message'] } (stream sockets only)
+	};
+
+	// Rate limits, as requests per window: per IP, per token (or the highest limit
+	// of the scopes a token covers) & per route. IPs with too many authentication
+	// failures are refused. Counters are kept in 'memory' (per instance) or in the
+	// 'database' (shared by instances, at the cost of database writes on every
+	// request). Set proxy (Express 'trust proxy') when running behind a proxy,
+	// so limits apply to client IPs
+	config.limits = {
+		store: 'memory',
+		proxy: false,
+		window: '1 minute',
+		ip: 600,
+		token: 300,
+		scopes: {
+			'Tokens.Generate': 600
+		},
+		routes: {
+			'post /tokens/refresh': { requests: 30 },
+			'post /tokens/:user': { requests: 60 }
+		},
+		authentication: {
+			failures: 10,
+			window: '15 minutes'
+		}
+	};
+
+	// Prometheus metrics, served at the path on the application port or,
+	// when a port is set, on a separate port
+	config.metrics = {
+		enabled: true,
+		path: '/metrics',
+		port: null
+	};
+
+	// Usage analytics: noop (nothing recorded), local (usage aggregated in the
+	// database) or google (opt-in, user IDs hashed with a salt of its own,
+	// required with the tracking ID). Hits are sent in batches
+	config.analytics = {
+		adapter: 'noop',
+		flush: '30 seconds',
+		batch: 100,
+		local: {
+			collection: 'analytics'
+		},
+		google: {
+			trackingId: null,
+			salt: null
+		}
+	};
+
+	config.security = {
+		secret: 'Hash Oregano Potatoes 1900 Guns and £400 in debt',
+		// Keys used for signing & verifying tokens. The active key signs new tokens,
+		// every listed key verifies. Asymmetric keys (RS256, ES256) are read from PEM
+		// files (privateKey, publicKey derived from it when omitted); keep retired keys
+		// listed with only a publicKey until their tokens expire
+		keys: {
+			active: 'default',
+			list: [{
+				kid: 'default',
+				algorithm: 'HS256'
+			}]
+		},
+		refresh: {
+			validity: '30 days'
+		},
+		// Token usage (last used time, last IP & request count) is written in batches
+		usage: {
+			flush: '30 seconds'
+		},
+		// Revoked tokens are kept for audit this long, then archived & removed by the retention job
+		retention: '90 days',
+		// Token records cached by jti, sparing a database query per request. Changed
+		// tokens are evicted at once here, and on other instances within a poll interval
+		cache: {
+			enabled: true,
+			ttl: '30 seconds',
+			size: 10000,
+			poll: '5 seconds'
+		},
+		admin: {
+			id: 'admin',
+			validity: '7 days',
+			scope: ['General.Access', 'General.Logs', 'General.Retention', 'Tokens.Generate', 'Tokens.List', 'Tokens.Introspect', 'Roles.Manage']
+		}
+	};
+
+	return config;
+
+})({
+	path: 	require('path')
+});
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Development configuration, overrides config/default.js
+ *
+ * @type {Object}
+ */
+module.exports = {
+	console: {
+		level: 'debug'
+	}
+};
@@ -0,0 +1,15 @@
+/**
+ * Production configuration, overrides config/default.js.
+ * The secret & database URL must be set, e.g. HYDRA_SECURITY__SECRET_FILE
+ * & HYDRA_DATABASE__URL, see config.js
+ *
+ * @type {Object}
+ */
+module.exports = {
+	database: {
+		url: null
+	},
+	security: {
+		secret: null
+	}
+};
@@ -0,0 +1,244 @@
+/**
+ * Configuration schema (JSON Schema), validated at startup, see config.js.
+ * Timespans use the 'duration' format, e.g. '24 hours'
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         JSON Schema
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	var duration = { type: 'string', format: 'duration' };
+	var strings = { type: 'array', items: { type: 'string' } };
+	var count = { type: 'integer', minimum: 1 };
+	var port = { type: 'integer', minimum: 1, maximum: 65535 };
+
+	return {
+		type: 'object',
+		required: ['path', 'port', 'ip', 'database', 'requests', 'shutdown', 'logs', 'console', 'limits', 'metrics', 'analytics', 'security'],
+		properties: {
+			path: { type: 'string', minLength: 1 },
+			port: port,
+			ip: { type: 'string', minLength: 1 },
+			database: {
+				type: 'object',
+				required: ['adapter', 'retry'],
+				properties: {
+					adapter: { 'enum': ['mongo', 'memory'] },
+					retry: {
+						type: 'object',
+						required: ['attempts', 'delay'],
+						properties: {
+							attempts: count,
+							delay: duration
+						}
+					}
+				},
+				'if': { properties: { adapter: { 'const': 'mongo' } } },
+				then: {
+					required: ['url'],
+					properties: {
+						url: { type: 'string', minLength: 1 }
+					}
+				}
+			},
+			requests: {
+				type: 'object',
+				required: ['timeout'],
+				properties: {
+					timeout: duration
+				}
+			},
+			shutdown: {
+				type: 'object',
+				required: ['timeout'],
+				properties: {
+					timeout: duration
+				}
+			},
+			logs: {
+				type: 'object',
+				required: ['retention', 'archive', 'interval', 'redact'],
+				properties: {
+					retention: { type: 'object', additionalProperties: duration },
+					archive: { type: 'string', minLength: 1 },
+					interval: duration,
+					redact: {
+						type: 'object',
+						required: ['paths', 'mask', 'length'],
+						properties: {
+							paths: strings,
+							mask: { type: 'string' },
+							length: count
+						}
+					}
+				}
+			},
+			console: {
+				type: 'object',
+				required: ['level', 'flush', 'batch', 'transports'],
+				properties: {
+					level: { 'enum': ['debug', 'info', 'warn', 'error'] },
+					flush: duration,
+					batch: count,
+					transports: {
+						type: 'array',
+						items: {
+							type: 'object',
+							required: ['type'],
+							properties: {
+								type: { 'enum': ['stdout', 'file', 'database', 'syslog'] },
+								level: { 'enum': ['debug', 'info', 'warn', 'error'] },
+								records: { type: 'array', items: { 'enum': ['message', 'entry'] } }
+							}
+						}
+					}
+				}
+			},
+			limits: {
+				type: 'object',
+				required: ['store', 'window', 'ip', 'token', 'scopes', 'routes', 'authentication'],
+				properties: {
+					store: { 'enum': ['memory', 'database'] },
+					window: duration,
+					ip: count,
+					token: count,
+					scopes: { type: 'object', additionalProperties: count },
+					routes: {
+						type: 'object',
+						additionalProperties: {
+							type: 'object',
+							required: ['requests'],
+							properties: {
+								requests: count,
+								window: duration
+							}
+						}
+					},
+					authentication: {
+						type: 'object',
+						required: ['failures', 'window'],
+						properties: {
+							failures: count,
+							window: duration
+						}
+					}
+				}
+			},
+			metrics: {
+				type: 'object',
+				required: ['enabled', 'path'],
+				properties: {
+					enabled: { type: 'boolean' },
+					path: { type: 'string', pattern: '^/' },
+					port: { anyOf: [port, { type: 'null' }] }
+				}
+			},
+			analytics: {
+				type: 'object',
+				required: ['adapter', 'flush', 'batch'],
+				properties: {
+					adapter: { 'enum': ['noop', 'local', 'google'] },
+					flush: duration,
+					batch: count,
+					local: {
+						type: 'object',
+						properties: {
+							collection: { type: 'string', minLength: 1 }
+						}
+					},
+					google: {
+						type: 'object',
+						properties: {
+							trackingId: { type: ['string', 'null'] },
+							salt: { type: ['string', 'null'] }
+						}
+					}
+				},
+				'if': { properties: { adapter: { 'const': 'google' } } },
+				then: {
+					required: ['google'],
+					properties: {
+						google: {
+							required: ['trackingId', 'salt'],
+							properties: {
+								trackingId: { type: 'string', pattern: '^UA-[0-9]+-[0-9]+$' },
+								salt: { type: 'string', minLength: 16 }
+							}
+						}
+					}
+				}
+			},
+			security: {
+				type: 'object',
+				required: ['secret', 'keys', 'refresh', 'usage', 'retention', 'cache', 'admin'],
+				properties: {
+					secret: { type: 'string', minLength: 1 },
+					keys: {
+						type: 'object',
+						required: ['active', 'list'],
+						properties: {
+							active: { type: 'string' },
+							list: {
+								type: 'array',
+								minItems: 1,
+								items: {
+									type: 'object',
+									required: ['kid', 'algorithm'],
+									properties: {
+										kid: { type: 'string', minLength: 1 },
+										algorithm: { type: 'string', pattern: '^(HS|RS|ES)(256|384|512)$' },
+										privateKey: { type: 'string', minLength: 1 },
+										publicKey: { type: 'string', minLength: 1 }
+									},
+									// Asymmetric keys need a PEM file: private (signing) or public (verifying only)
+									'if': { properties: { algorithm: { pattern: '^(RS|ES)' } } },
+									then: {
+										anyOf: [{ required: ['privateKey'] }, { required: ['publicKey'] }]
+									}
+								}
+							}
+						}
+					},
+					refresh: {
+						type: 'object',
+						required: ['validity'],
+						properties: {
+							validity: duration
+						}
+					},
+					usage: {
+						type: 'object',
+						required: ['flush'],
+						properties: {
+							flush: duration
+						}
+					},
+					retention: duration,
+					cache: {
+						type: 'object',
+						required: ['enabled', 'ttl', 'size', 'poll'],
+						properties: {
+							enabled: { type: 'boolean' },
+							ttl: duration,
+							size: count,
+							poll: duration
+						}
+					},
+					admin: {
+						type: 'object',
+						required: ['id', 'validity', 'scope'],
+						properties: {
+							id: { type: 'string', minLength: 1 },
+							validity: duration,
+							scope: strings
+						}
+					}
+				}
+			}
+		}
+	};
+
+})({});
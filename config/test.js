@@ -0,0 +1,25 @@
+/**
+ * Test configuration, overrides config/default.js. Runs without a database
+ *
+ * @type {Object}
+ */
+module.exports = {
+	port: 10041,
+	database: {
+		adapter: 'memory'
+	},
+	console: {
+		level: 'warn'
+	},
+	// Tests refuse tokens on purpose, all from the same IP
+	limits: {
+		authentication: {
+			failures: 1000
+		}
+	},
+	security: {
+		cache: {
+			poll: '500 milliseconds'
+		}
+	}
+};
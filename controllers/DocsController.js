@@ -0,0 +1,63 @@
+/**
+ * API documentation controller module
+ *
+ * @param  {Object} libs Libraries used by this module
+ *
+ * @return {Object}      Actions and routes
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Actions for routes
+	 *
+	 * @type {Object}
+	 *
+	 * @public
+	 */
+	var actions = {
+
+		/**
+		 * Shows the OpenAPI document of all registered routes
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		openapi: function (request, response, next) {
+
+			request.status = 200;
+			Security.respond.call(Security.scope(request, response, next), libs.OpenApi.document(libs.Router.routes()));
+		}
+	};
+
+	/**
+	 * Routes exposed by this module
+	 *
+	 * @type {Array}
+	 *
+	 * @public
+	 */
+	var routes = [{
+		url: '/openapi.json',
+		actions: [
+			actions.openapi
+		],
+		method: 'get'
+	}];
+
+	// Served ahead of the authentication wall, so clients can fetch the document without a token
+	return {
+		order: -5,
+		routes: routes
+	};
+
+})({
+	OpenApi:	require(config.path + 'utilities/OpenApi'),
+	Router:		require(config.path + 'utilities/Router')
+});
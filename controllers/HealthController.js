@@ -0,0 +1,108 @@
+/**
+ * Health, readiness & metrics controller module.
+ * Registered before the authentication wall, so load balancers & monitoring can probe the server
+ *
+ * @param  {Object} libs Libraries used by this module
+ *
+ * @return {Object}      Actions and routes
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Actions for routes
+	 *
+	 * @type {Object}
+	 *
+	 * @public
+	 */
+	var actions = {
+
+		/**
+		 * Shows whether the process is alive
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		health: function (request, response, next) {
+
+			request.status = 200;
+			Security.respond.call(Security.scope(request, response, next), {
+				status:	'ok',
+				uptime:	Math.floor(process.uptime())
+			});
+		},
+
+		/**
+		 * Shows whether the server can handle requests, i.e. the database is usable
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		ready: function (request, response, next) {
+
+			var scope = Security.scope(request, response, next);
+
+			request.status = 200;
+			return libs.Database.ping()
+				.then(Security.respond.bind(scope, {status: 'ready'}))
+				.catch(next.bind(null, {name: 'ServiceUnavailableError'}));
+		}
+	};
+
+	/**
+	 * Routes exposed by this module
+	 *
+	 * @type {Array}
+	 *
+	 * @public
+	 */
+	var routes = [{
+		url: '/healthz',
+		actions: [
+			actions.health
+		],
+		method: 'get',
+		limited: false
+	}, {
+		url: '/readyz',
+		actions: [
+			actions.ready
+		],
+		method: 'get',
+		limited: false
+	}];
+
+	// Probes & scrapes are exempt from rate limits: they must not depend on the limit store,
+	// nor use up the IP's budget. Metrics are served here unless they have their own port
+	if (config.metrics.enabled && !config.metrics.port) {
+		routes.push({
+			url: config.metrics.path,
+			actions: [
+				libs.Metrics.serve
+			],
+			method: 'get',
+			limited: false
+		});
+	}
+
+	return {
+		order: -10,
+		routes: routes
+	};
+
+})({
+	Database:	require(config.path + 'utilities/Database'),
+	Metrics:	require(config.path + 'utilities/Metrics')
+});
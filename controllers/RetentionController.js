@@ -0,0 +1,86 @@
+/**
+ * Log retention controller module
+ *
+ * @param  {Object} libs Libraries used by this module
+ *
+ * @return {Object}      Actions and routes
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Actions for routes
+	 *
+	 * @type {Object}
+	 *
+	 * @public
+	 */
+	var actions = {
+
+		/**
+		 * Shows the retention configuration & the outcome of the last sweep
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		status: function (request, response, next) {
+
+			Security.respond.call(Security.scope(request, response, next), libs.Retention.status());
+		},
+
+		/**
+		 * Runs a retention sweep: archives & removes expired log entries
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		run: function (request, response, next) {
+
+			var scope = Security.scope(request, response, next);
+
+			return libs.Retention.run()
+				.then(Security.respond.bind(scope));
+		}
+	};
+
+	/**
+	 * Routes exposed by this module
+	 *
+	 * @type {Array}
+	 *
+	 * @public
+	 */
+	var routes = [{
+		url: '/retention',
+		actions: [
+			Security.require(['General.Retention']),
+			actions.status
+		],
+		method: 'get'
+	}, {
+		url: '/retention',
+		actions: [
+			Security.require(['General.Retention']),
+			actions.run
+		],
+		method: 'post'
+	}];
+
+	return {
+		routes: routes
+	};
+
+})({
+	Retention:	require(config.path + 'utilities/Retention')
+});
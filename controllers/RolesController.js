@@ -0,0 +1,263 @@
+/**
+ * Roles controller module
+ *
+ * @param  {Object} libs Libraries used by this module
+ *
+ * @return {Object}      Actions and routes
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utility functions used
+	 * by this module
+	 *
+	 * @type {Object}
+	 *
+	 * @private
+	 */
+	var internals = {
+
+		/**
+		 * Request schemas, validated before the route actions run, see Validator
+		 *
+		 * @type {Object}
+		 */
+		schemas: {
+
+			/**
+			 * Path with a role name
+			 *
+			 * @type {Object}
+			 */
+			role: {
+				type: 'object',
+				properties: {
+					role: { type: 'string', pattern: '^[a-zA-Z0-9_.-]+$' }
+				}
+			},
+
+			/**
+			 * Role definition: scope & an optional description
+			 *
+			 * @type {Object}
+			 */
+			definition: {
+				type: 'object',
+				required: ['scope'],
+				properties: {
+					scope: { type: 'array', items: { type: 'string' } },
+					description: { type: 'string' }
+				}
+			}
+		},
+
+		/**
+		 * Respond with the first role found, or a not found error
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Array} roles Role records
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		single: function (roles) {
+
+			if (libs._.isEmpty(roles)) {
+				this.next({name: 'NoDataAvailableError'});
+			} else {
+				Security.respond.call(this, libs._.first(roles));
+			}
+		},
+
+		/**
+		 * Describe removed roles, as a response to a delete
+		 *
+		 * @param  {Number} count Number of removed records
+		 *
+		 * @return {Object}       Success message
+		 *
+		 * @private
+		 */
+		removed: function (count) {
+
+			if (count === 0) {
+				return libs.Promise.reject({name: 'NothingToRemoveError'});
+			}
+			return {
+				success: ['Removed', count, 'record(s)'].join(' ')
+			};
+		}
+	};
+
+	/**
+	 * Actions for routes
+	 *
+	 * @type {Object}
+	 *
+	 * @public
+	 */
+	var actions = {
+
+		/**
+		 * Shows all roles
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		list: function (request, response, next) {
+
+			var scope = Security.scope(request, response, next);
+			var sort = {
+				name: 1
+			};
+
+			return libs.Database.list('roles', {}, sort)
+				.then(Security.respond.bind(scope));
+		},
+
+		/**
+		 * Shows a single role
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		show: function (request, response, next) {
+
+			var scope = Security.scope(request, response, next);
+			var filters = {
+				name: request.params.role
+			};
+
+			return libs.Database.list('roles', filters)
+				.then(internals.single.bind(scope));
+		},
+
+		/**
+		 * Creates or updates a role. Tokens referencing the role get the new
+		 * scope on their next request, on other instances within a cache poll
+		 * interval. The role scope may not exceed the requesting token's effective scope
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise|void}
+		 *
+		 * @public
+		 */
+		save: function (request, response, next) {
+
+			var scope = Security.scope(request, response, next);
+			if (libs.Permissions.satisfies(request.scope, request.body.scope)) {
+				return libs.Database.upsert('roles', {
+					time:			libs.moment().format(),
+					name:			request.params.role,
+					scope:			libs._.uniq(request.body.scope),
+					description:	request.body.description || '',
+					authority:		request.token.id
+				}, {
+					name: request.params.role
+				})
+					.tap(libs.Permissions.invalidate.bind(this, request.params.role))
+					.then(Security.respond.bind(scope));
+			} else {
+				next({name: 'TokenDelegationError', message: 'Role scope exceeds the issuer scope'});
+			}
+		},
+
+		/**
+		 * Deletes a role
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		remove: function (request, response, next) {
+
+			var scope = Security.scope(request, response, next);
+			var filters = {
+				name: request.params.role
+			};
+
+			return libs.Database.remove('roles', filters)
+				.tap(libs.Permissions.invalidate.bind(this, request.params.role))
+				.then(internals.removed)
+				.then(Security.respond.bind(scope));
+		}
+	};
+
+	/**
+	 * Routes exposed by this module
+	 *
+	 * @type {Array}
+	 *
+	 * @public
+	 */
+	var routes = [{
+		url: '/roles',
+		actions: [
+			Security.require(['Roles.Manage']),
+			actions.list
+		],
+		method: 'get'
+	}, {
+		url: '/roles/:role',
+		actions: [
+			Security.require(['Roles.Manage']),
+			actions.show
+		],
+		method: 'get',
+		schema: {
+			params: internals.schemas.role
+		}
+	}, {
+		url: '/roles/:role',
+		actions: [
+			Security.require(['Roles.Manage']),
+			actions.save
+		],
+		method: 'put',
+		schema: {
+			params: internals.schemas.role,
+			body: internals.schemas.definition
+		}
+	}, {
+		url: '/roles/:role',
+		actions: [
+			Security.require(['Roles.Manage']),
+			actions.remove
+		],
+		method: 'delete',
+		schema: {
+			params: internals.schemas.role
+		}
+	}];
+
+	return {
+		routes: routes
+	};
+
+})({
+	moment:		require('moment'),
+	_:			require('underscore'),
+	Promise:	require('bluebird/js/release/promise')(),
+	Database:	require(config.path + 'utilities/Database'),
+	Permissions:	require(config.path + 'utilities/Permissions')
+});
@@ -20,46 +20,814 @@ module.exports = (function (libs) {
 	var internals = {
 
 		/**
-		 * Create the inital admin account, valid for 4 minutes
+		 * Default validity of issued access tokens
+		 *
+		 * @type {String}
+		 */
+		validity: '24 hours',
+
+		/**
+		 * Failed token & refresh token verifications
+		 *
+		 * @type {Object}
+		 */
+		failures: libs.Metrics.counter('token_verification_failures_total', 'Failed token & refresh token verifications, by error'),
+
+		/**
+		 * Create or rotate the admin credential. Refuses to run when an enabled
+		 * admin token already exists, unless forced, in which case every
+		 * existing admin token is removed first
 		 * This method is public via exports
-		 * Run: mongoexport -d NodeJSAPI -c tokens -f token --query '{"user":"admin"},{}' --csv
-		 * 
-		 * @return {void}
+		 *
+		 * @param  {Boolean} force Replace existing admin tokens
+		 *
+		 * @return {Promise}       Resolves with the access & refresh token pair
 		 *
 		 * @public
 		 */
-		admin: function () {
+		admin: function (force) {
+
+			var settings = {
+				id:			config.security.admin.id,
+				scope:		config.security.admin.scope,
+				validity:	config.security.admin.validity
+			};
+			var filters = {
+				user:	settings.id,
+				status:	'enabled'
+			};
+
+			return libs.Promise.resolve(libs.Database.list('tokens', filters))
+				.then(internals.replaceAdmin.bind(this, settings.id, force))
+				.then(internals.issue.bind(this, settings, {authority: settings.id}, null))
+				.tap(libs.console.save.bind(libs.console, {
+					type: 		'operation',
+					user: 		settings.id,
+					ip: 		config.ip,
+					method: 	'POST',
+					endpoint: 	'/token/admin',
+					payload: 	settings
+				}, force ? 'Admin token rotated' : 'Admin token created'));
+		},
+
+		/**
+		 * Remove existing admin tokens when forced, refuse otherwise
+		 *
+		 * @param  {String}  id       Admin user ID
+		 * @param  {Boolean} force    Replace existing admin tokens
+		 * @param  {Array}   existing Enabled admin token records
+		 *
+		 * @return {Promise|void}
+		 *
+		 * @private
+		 */
+		replaceAdmin: function (id, force, existing) {
+
+			if (libs._.isEmpty(existing)) {
+				return;
+			}
+			if (!force) {
+				throw new Error('An admin token already exists, use --force to replace it');
+			}
+			return internals.transition({user: id}, 'revoked', 'Admin credential rotated', id, {
+				ip:			config.ip,
+				method:		'CLI',
+				endpoint:	'admin:token'
+			});
+		},
+
+		/**
+		 * Token status lifecycle: the statuses a token may be moved from, by target status.
+		 * Suspended tokens may be reinstated (enabled), revoked tokens are final
+		 *
+		 * @type {Object}
+		 */
+		lifecycle: {
+			enabled:	['suspended'],
+			suspended:	['enabled'],
+			revoked:	['enabled', 'suspended']
+		},
+
+		/**
+		 * Move token records to a status, recording the reason, actor & time, appended
+		 * to the status history of the records, & in an operation log entry. Changed
+		 * records are evicted from the token cache. Records kept in a status the
+		 * target can't be reached from are left unchanged
+		 *
+		 * @param  {Object}  filters Filters for selecting the token records
+		 * @param  {String}  status  Target status: enabled, suspended or revoked
+		 * @param  {String}  reason  Reason for the change, optional
+		 * @param  {String}  actor   ID of the user making the change
+		 * @param  {Object}  origin  Origin of the change, for the log entry: ip, method & endpoint
+		 *
+		 * @return {Promise}         Resolves with the number of changed records
+		 *
+		 * @private
+		 */
+		transition: function (filters, status, reason, actor, origin) {
+
+			var change = {
+				status:		status,
+				reason:		reason || null,
+				actor:		actor,
+				changed:	libs.moment().format()
+			};
+
+			return libs.Database.update('tokens', libs._.extend({}, filters, {
+				status: { $in: internals.lifecycle[status] }
+			}), change, null, {
+				history: change
+			})
+				.tap(function (count) {
+
+					if (count > 0) {
+						libs.console.save(libs._.extend({
+							type:		'operation',
+							user:		actor,
+							payload:	libs._.extend({filters: filters, count: count}, change)
+						}, origin), 'Token status changed to ' + status);
+						return libs.TokenCache.invalidate(filters);
+					}
+				});
+		},
+
+		/**
+		 * Origin of a request, for log entries
+		 *
+		 * @param  {Object} request Request
+		 *
+		 * @return {Object}         IP, method & endpoint
+		 *
+		 * @private
+		 */
+		origin: function (request) {
+
+			return {
+				ip:			request.get('X-Forwarded-For'),
+				method:		request.method,
+				endpoint:	request.originalUrl
+			};
+		},
+
+		/**
+		 * Describe revoked token records, as a response to a delete
+		 *
+		 * @param  {Number} count Number of revoked records
+		 *
+		 * @return {Object}       Success message
+		 *
+		 * @private
+		 */
+		revoked: function (count) {
+
+			if (count === 0) {
+				return libs.Promise.reject({name: 'NothingToRemoveError'});
+			}
+			return {
+				success: ['Revoked', count, 'record(s)'].join(' ')
+			};
+		},
+
+		/**
+		 * Describe a status change, or find out why nothing changed: no such
+		 * tokens, or tokens in a status the target can't be reached from
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Object}  filters Filters for selecting the token records
+		 * @param  {Number}  count   Number of changed records
+		 *
+		 * @return {Promise}         Resolves with a success message
+		 *
+		 * @private
+		 */
+		changed: function (filters, count) {
+
+			if (count > 0) {
+				return libs.Promise.resolve({
+					success: ['Updated', count, 'record(s)'].join(' ')
+				});
+			}
+			return libs.Database.count('tokens', filters)
+				.then(function (total) {
+
+					return libs.Promise.reject({name: total > 0 ? 'InvalidStatusTransitionError' : 'NoDataAvailableError'});
+				});
+		},
+
+		/**
+		 * Create a new unique token identifier (jti claim)
+		 *
+		 * @return {String} Random hex string
+		 *
+		 * @private
+		 */
+		identifier: function () {
+
+			return libs.crypto.randomBytes(16).toString('hex');
+		},
+
+		/**
+		 * Refresh token utilities
+		 *
+		 * @type {Object}
+		 */
+		refresh: {
+
+			/**
+			 * Create a new opaque refresh token
+			 *
+			 * @return {String} Random hex string
+			 *
+			 * @private
+			 */
+			create: function () {
+
+				return libs.crypto.randomBytes(32).toString('hex');
+			},
+
+			/**
+			 * Hash a refresh token. Only hashes are stored in the database
+			 *
+			 * @param  {String} token Refresh token
+			 *
+			 * @return {String}       SHA-256 hex digest
+			 *
+			 * @private
+			 */
+			hash: function (token) {
+
+				return libs.crypto.createHash('sha256').update(token).digest('hex');
+			},
+
+			/**
+			 * Checks whether a token record's refresh token has expired
+			 *
+			 * @param  {Object}  record Token record
+			 *
+			 * @return {Boolean}        Returns true if expired
+			 *
+			 * @private
+			 */
+			expired: function (record) {
+
+				return !record.refreshExpires || libs.moment(record.refreshExpires).isBefore(libs.moment());
+			}
+		},
+
+		/**
+		 * Sign an access token and store it along with a hashed refresh token.
+		 * Both tokens always belong to a family, which is kept across rotations
+		 *
+		 * @param  {Object} settings Token payload: id, scope, roles & validity
+		 * @param  {Object} record   Token record fields: authority, chain, delegation, device, family & used refresh hashes
+		 * @param  {Object} filters  Filters for selecting the token record to replace, never inserted
+		 *                           when missing. Omit for a new token
+		 *
+		 * @return {Promise}         Resolves with the access & refresh token pair & their family,
+		 *                           or null when no token record matched the filters
+		 *
+		 * @private
+		 */
+		issue: function (settings, record, filters) {
 
 			var options = {
-				algorithm: 'HS256',
-				expiresIn: '4 minutes'
+				expiresIn: settings.validity || internals.validity,
+				jwtid: internals.identifier()
 			};
+			var payload = {
+				id:			settings.id,
+				scope:		settings.scope,
+				roles:		settings.roles || [],
+				validity:	options.expiresIn
+			};
+			var pair = {
+				token:		libs.Keys.sign(payload, options),
+				refresh:	internals.refresh.create(),
+				family:		record.family || internals.refresh.create()
+			};
+
+			var row = {
+				time:			libs.moment().format(),
+				jti:			options.jwtid,
+				user:			payload.id,
+				device:			record.device || '',
+				validity:		options.expiresIn,
+				expires:		libs.moment.unix(libs.jwt.decode(pair.token).exp).format(),
+				lastUsed:		null,
+				scope:			payload.scope,
+				roles:			payload.roles,
+				status:			'enabled',
+				authority:		record.authority,
+				chain:			record.chain || [],
+				delegation:		record.delegation || {},
+				family:			pair.family,
+				refresh:		internals.refresh.hash(pair.refresh),
+				refreshExpires:	libs.moment().add(libs.ms(config.security.refresh.validity), 'ms').format(),
+				used:			record.used || []
+			};
+
+			if (!filters) {
+				return libs.Database.upsert('tokens', row)
+					.then(libs._.constant(pair));
+			}
+			return libs.Database.update('tokens', filters, row)
+				.then(function (count) {
+
+					// A replaced token record (e.g. on rotation) no longer confirms its previous token
+					return count === 0 ? null : libs.TokenCache.invalidate(filters)
+						.then(libs._.constant(pair));
+				});
+		},
+
+		/**
+		 * Delegation utilities, preventing privilege escalation when issuing tokens
+		 *
+		 * @type {Object}
+		 */
+		delegation: {
+
+			/**
+			 * Convert a validity (seconds or timespan string, e.g. '7 days') to milliseconds
+			 *
+			 * @param  {Number|String} validity Validity
+			 *
+			 * @return {Number}                 Milliseconds, or undefined when not parseable
+			 *
+			 * @private
+			 */
+			duration: function (validity) {
+
+				if (libs._.isNumber(validity)) {
+					return validity * 1000;
+				}
+				if (libs._.isString(validity)) {
+					return libs.ms(validity);
+				}
+			},
+
+			/**
+			 * Checks whether a validity is within a maximum validity
+			 *
+			 * @param  {Number|String} validity Requested validity
+			 * @param  {Number|String} maximum  Maximum validity, if any
+			 *
+			 * @return {Boolean}                Returns true if within limits
+			 *
+			 * @private
+			 */
+			within: function (validity, maximum) {
+
+				return libs._.isUndefined(maximum) ||
+					(!libs._.isUndefined(validity) &&
+					internals.delegation.duration(validity) <= internals.delegation.duration(maximum));
+			},
+
+			/**
+			 * Find the reason an issuance has to be refused, if any. Only the admin issues
+			 * tokens for the admin user ID. The granted scope must be a subset of the issuer's
+			 * own scope and of the issuer's delegation limits, and delegation limits passed
+			 * on must not exceed the issuer's
+			 *
+			 * @param  {Array}  scope     Effective scope of the issuer
+			 * @param  {Object} issuer    Token record of the issuer
+			 * @param  {Array}  requested Effective scope requested for the new token
+			 * @param  {Object} settings  Requested token settings: user ID, validity & delegation
+			 *
+			 * @return {String}           Refusal reason, or undefined when allowed
+			 *
+			 * @private
+			 */
+			refusal: function (scope, issuer, requested, settings) {
+
+				var limits = issuer.delegation || {};
+				var delegation = settings.delegation || {};
+
+				if (settings.id === config.security.admin.id && issuer.user !== config.security.admin.id) {
+					return 'The admin user ID is reserved for the admin';
+				}
+				if (!libs.Permissions.satisfies(scope, requested)) {
+					return 'Requested scope exceeds the issuer scope';
+				}
+				if (limits.scope && !libs.Permissions.satisfies(limits.scope, requested)) {
+					return 'Requested scope exceeds the issuer delegation scope';
+				}
+				if (!internals.delegation.within(settings.validity || internals.validity, limits.validity)) {
+					return 'Requested validity exceeds the issuer delegation validity';
+				}
+				if (!internals.delegation.within(delegation.validity, limits.validity)) {
+					return 'Delegated validity exceeds the issuer delegation validity';
+				}
+				if (delegation.scope && limits.scope && !libs.Permissions.satisfies(limits.scope, delegation.scope)) {
+					return 'Delegated scope exceeds the issuer delegation scope';
+				}
+			}
+		},
+
+		/**
+		 * Issue a token on behalf of the requesting token, unless that would
+		 * escalate privileges. The issuer is appended to the delegation chain
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Object} issuer    Token record of the issuer
+		 * @param  {Array}  requested Effective scope requested for the new token
+		 *
+		 * @return {Promise}          Resolves with the access & refresh token pair
+		 *
+		 * @private
+		 */
+		delegate: function (issuer, requested) {
+
+			var settings = this.request.body;
+
+			// Limits not passed on explicitly are inherited from the issuer
+			if (issuer) {
+				settings.delegation = libs._.defaults({}, settings.delegation, issuer.delegation);
+			}
+
+			var refusal = issuer ?
+				internals.delegation.refusal(this.request.scope, issuer, requested, settings) :
+				'Issuer token record not found';
+
+			if (refusal) {
+				libs.console.save({
+					type:		'operation',
+					user:		this.request.token.id,
+					ip:			this.request.get('X-Forwarded-For'),
+					method:		this.request.method,
+					endpoint:	this.request.originalUrl,
+					payload:	settings
+				}, refusal);
+
+				return libs.Promise.reject({name: 'TokenDelegationError', message: refusal});
+			}
+
+			return internals.issue(settings, {
+				authority:	this.request.token.id,
+				chain:		(issuer.chain || []).concat({
+					user:	issuer.user,
+					jti:	issuer.jti
+				}),
+				delegation:	settings.delegation,
+				device:		settings.device
+			});
+		},
+
+		/**
+		 * Rotate a token family: the presented refresh token is marked as used
+		 * and a new access & refresh token pair replaces the previous one. The record
+		 * is only replaced while it still holds the presented refresh token & is enabled:
+		 * when a concurrent refresh or revocation got there first, the refresh token
+		 * counts as reused
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {String} hash   Hash of the presented refresh token
+		 * @param  {Object} record Token record owning the refresh token
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		rotate: function (hash, record) {
+
 			var settings = {
-				id: 'admin',
-				validity: options.expiresIn,
-				scope: ['General.Access', 'General.Logs', 'Tokens.Generate']
+				id:			record.user,
+				scope:		record.scope,
+				roles:		record.roles,
+				validity:	record.validity
 			};
 
-			libs.Database.upsert('tokens', {
-				time:		libs.moment().format(),
-				token:		libs.jwt.sign(settings, config.security.secret, options),
-				user:		settings.id,
-				validity:	options.expiresIn,
-				scope:		settings.scope,
-				status:		'enabled',
-				authority:	settings.id
+			return internals.issue(settings, {
+				authority:	record.authority,
+				chain:		record.chain,
+				delegation:	record.delegation,
+				device:		record.device,
+				family:		record.family,
+				used:		(record.used || []).concat(hash)
 			}, {
-				user: settings.id
-			});
+				family:		record.family,
+				refresh:	hash,
+				status:		'enabled'
+			}).then(internals.rotated.bind(this, record));
+		},
+
+		/**
+		 * Answer a rotation with the new token pair, or revoke the family when the
+		 * record was changed meanwhile (refresh token already used, or family revoked)
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Object} record Token record owning the refresh token, before the rotation
+		 * @param  {Object} pair   New token pair, null when the record was not replaced
+		 *
+		 * @return {Promise|void}
+		 *
+		 * @private
+		 */
+		rotated: function (record, pair) {
+
+			if (!pair) {
+				return internals.reuse.call(this, record);
+			}
+			internals.respond.call(this, pair);
+		},
+
+		/**
+		 * Handle a refresh token lookup: rotate the family when the token is current,
+		 * revoke it when an already used token is presented
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {String} hash   Hash of the presented refresh token
+		 * @param  {Object} record Token record matching the hash, if any
+		 *
+		 * @return {Promise|void}
+		 *
+		 * @private
+		 */
+		exchange: function (hash, record) {
+
+			if (!record) {
+				return internals.refuse.call(this, {name: 'RefreshTokenError'});
+			}
+			if (record.refresh !== hash) {
+				return internals.reuse.call(this, record);
+			}
+			if (record.status === 'suspended') {
+				return internals.refuse.call(this, {name: 'TokenSuspendedError'});
+			}
+			if (record.status !== 'enabled' || internals.refresh.expired(record)) {
+				return internals.refuse.call(this, {name: 'RefreshTokenError'});
+			}
+			return internals.rotate.call(this, hash, record);
+		},
+
+		/**
+		 * Revoke a whole token family after a refresh token was replayed
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Object} record Token record owning the replayed refresh token
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		reuse: function (record) {
 
 			libs.console.save({
-				type: 		'operation',
-				user: 		settings.id,
-				ip: 		config.ip,
-				method: 	'POST',
-				endpoint: 	'/token/admin',
-				payload: 	settings
+				type:		'operation',
+				user:		record.user,
+				ip:			this.request.get('X-Forwarded-For'),
+				method:		this.request.method,
+				endpoint:	this.request.originalUrl,
+				payload:	{ family: record.family }
+			}, 'Refresh token reuse detected, token family revoked');
+
+			return internals.transition({family: record.family}, 'revoked', 'Refresh token reuse detected', record.user,
+				internals.origin(this.request))
+				.then(internals.refuse.bind(this, {name: 'RefreshTokenReuseError'}));
+		},
+
+		/**
+		 * Map token records to their public summary
+		 *
+		 * @param  {Array} records Token records
+		 *
+		 * @return {Array}         Token summaries
+		 *
+		 * @private
+		 */
+		summary: function (records) {
+
+			return libs._.map(records, function (record) {
+
+				return {
+					jti:		record.jti,
+					user:		record.user,
+					family:		record.family,
+					device:		record.device,
+					issuer:		record.authority,
+					status:		record.status,
+					created:	record.time,
+					expires:	record.expires,
+					lastUsed:	record.lastUsed,
+					lastIp:		record.lastIp || null,
+					uses:		record.uses || 0,
+					history:	record.history || []
+				};
+			});
+		},
+
+		/**
+		 * Filters selecting the tokens not used for a number of days, counting
+		 * from their creation when never used. Revoked tokens are left out
+		 *
+		 * @param  {Number} days Number of days
+		 *
+		 * @return {Object}      Filters
+		 *
+		 * @private
+		 */
+		idle: function (days) {
+
+			var cutoff = libs.moment().subtract(days, 'days').format();
+
+			return {
+				status:	{ $in: ['enabled', 'suspended'] },
+				$or:	[
+					{ lastUsed: { $lt: cutoff } },
+					{ lastUsed: null, time: { $lt: cutoff } }
+				]
+			};
+		},
+
+		/**
+		 * Token introspection utilities (RFC 7662). Tokens that are invalid, expired,
+		 * revoked or unknown are all described the same way: not active
+		 *
+		 * @type {Object}
+		 */
+		introspection: {
+
+			/**
+			 * Description of a token that is not active
+			 *
+			 * @return {Object} Introspection response
+			 *
+			 * @private
+			 */
+			inactive: function () {
+
+				return {active: false};
+			},
+
+			/**
+			 * Describe an access token
+			 *
+			 * @param  {String}  token Access token
+			 *
+			 * @return {Promise}       Resolves with the introspection response
+			 *
+			 * @private
+			 */
+			access: function (token) {
+
+				return internals.validate.signature(token)
+					.then(function (decoded) {
+
+						return libs.TokenCache.lookup(decoded)
+							.then(function (record) {
+
+								if (!record || record.jti !== decoded.jti || record.status !== 'enabled') {
+									return internals.introspection.inactive();
+								}
+								return internals.introspection.describe(record, {
+									token_type:	'access_token',
+									iat:		decoded.iat,
+									exp:		decoded.exp,
+									jti:		decoded.jti
+								});
+							});
+					}, internals.introspection.inactive);
+			},
+
+			/**
+			 * Describe a refresh token
+			 *
+			 * @param  {String}  token Refresh token
+			 *
+			 * @return {Promise}       Resolves with the introspection response
+			 *
+			 * @private
+			 */
+			refresh: function (token) {
+
+				var filters = {
+					refresh:	internals.refresh.hash(token),
+					status:		'enabled'
+				};
+
+				return libs.Database.list('tokens', filters)
+					.then(libs._.first)
+					.then(function (record) {
+
+						if (!record || internals.refresh.expired(record)) {
+							return internals.introspection.inactive();
+						}
+						return internals.introspection.describe(record, {
+							token_type:	'refresh_token',
+							iat:		libs.moment(record.time).unix(),
+							exp:		libs.moment(record.refreshExpires).unix()
+						});
+					});
+			},
+
+			/**
+			 * Describe an active token: what it grants (effective scope, space separated),
+			 * to whom (sub) & on whose authority
+			 *
+			 * @param  {Object}  record Token record
+			 * @param  {Object}  claims Token type specific claims
+			 *
+			 * @return {Promise}        Resolves with the introspection response
+			 *
+			 * @private
+			 */
+			describe: function (record, claims) {
+
+				return libs.Permissions.expand(record.scope, record.roles)
+					.then(function (scope) {
+
+						return libs._.extend({
+							active:		true,
+							scope:		scope.join(' '),
+							roles:		record.roles || [],
+							sub:		record.user,
+							authority:	record.authority,
+							family:		record.family
+						}, claims);
+					});
+			}
+		},
+
+		/**
+		 * Query schema for log searches
+		 *
+		 * @type {Object}
+		 */
+		logs: {
+			fields: {
+				time:		{ type: 'date',		operators: ['gt', 'gte', 'lt', 'lte'] },
+				type:		{ type: 'string',	operators: ['eq', 'ne', 'in'] },
+				user:		{ type: 'string',	operators: ['eq', 'ne', 'in'] },
+				ip:			{ type: 'string',	operators: ['eq', 'in'] },
+				method:		{ type: 'string',	operators: ['eq', 'in'] },
+				endpoint:	{ type: 'string',	operators: ['eq', 'prefix'], operator: 'prefix' },
+				requestId:	{ type: 'string',	operators: ['eq'] }
+			},
+			aliases: {
+				from:	['time', 'gte'],
+				to:		['time', 'lte']
+			},
+			projection: ['time', 'type', 'user', 'ip', 'token', 'method', 'endpoint', 'payload', 'info', 'requestId'],
+			sort: {
+				time: -1,
+				_id: -1
+			}
+		},
+
+		/**
+		 * List a page of rows & count all rows matching a parsed query. One row more
+		 * than the page is listed, telling whether there is a next page, & the sort
+		 * fields are listed whatever the projection, for the next page cursor
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} query      Parsed query: filters, sort & options
+		 *
+		 * @return {Promise}           Resolves with the rows, total count & parsed query
+		 *
+		 * @private
+		 */
+		search: function (collection, query) {
+
+			var options = libs._.extend({}, query.options, {
+				limit:	query.options.limit + 1,
+				ids:	true
 			});
+
+			if (options.projection) {
+				options.projection = libs._.extend({}, options.projection, libs._.mapObject(query.sort, libs._.constant(1)));
+			}
+
+			return libs.Promise.all([
+				libs.Database.list(collection, query.filters, query.sort, options),
+				libs.Database.count(collection, query.filters),
+				query
+			]);
+		},
+
+		/**
+		 * Send a page of results, with the total count & the next page cursor as headers
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Array}  rows  Rows on this page, & the first row of the next page, if any
+		 * @param  {Number} total Total number of rows
+		 * @param  {Object} query Parsed query: sort & options (limit & projection)
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		page: function (rows, total, query) {
+
+			var page = rows.slice(0, query.options.limit);
+			var fields = query.options.projection ? libs._.keys(query.options.projection) : null;
+
+			this.response.set('X-Total-Count', String(total));
+			if (rows.length > page.length) {
+				this.response.set('X-Next-Cursor', libs.Query.cursor(libs._.last(page), query.sort));
+			}
+			internals.respond.call(this, libs._.map(page, function (row) {
+
+				return fields ? libs._.pick(row, fields) : libs._.omit(row, '_id');
+			}));
 		},
 
 		/**
@@ -99,10 +867,7 @@ module.exports = (function (libs) {
 			if (data.hasOwnProperty('error') && libs._.isObject(data.error)) {
 				this.response
 					.status(data.error.status)
-					.json({
-						code: data.error.code,
-						message: data.error.message
-					});
+					.json(libs._.pick(data.error, 'code', 'message', 'details'));
 			} else {
 				this.response
 					.status(this.request.status)
@@ -110,6 +875,146 @@ module.exports = (function (libs) {
 			}
 		},
 
+		/**
+		 * Request schemas, validated before the route actions run, see Validator
+		 *
+		 * @type {Object}
+		 */
+		schemas: {
+
+			/**
+			 * Path with a user ID
+			 *
+			 * @type {Object}
+			 */
+			user: {
+				type: 'object',
+				properties: {
+					user: { type: 'string', minLength: 1 }
+				}
+			},
+
+			/**
+			 * Token to be generated: scope, roles, validity (seconds or timespan string),
+			 * device label & delegation limits (validity & scope), all but the scope optional
+			 *
+			 * @type {Object}
+			 */
+			token: {
+				type: 'object',
+				required: ['scope'],
+				properties: {
+					scope: { type: 'array', items: { type: 'string' } },
+					roles: { type: 'array', items: { type: 'string' } },
+					validity: { type: ['number', 'string'], exclusiveMinimum: 0, format: 'duration' },
+					device: { type: 'string', maxLength: 200 },
+					delegation: {
+						type: 'object',
+						properties: {
+							validity: { type: ['number', 'string'], exclusiveMinimum: 0, format: 'duration' },
+							scope: { type: 'array', items: { type: 'string' } }
+						}
+					}
+				}
+			},
+
+			/**
+			 * Idle token query: number of days without use
+			 *
+			 * @type {Object}
+			 */
+			idle: {
+				type: 'object',
+				required: ['days'],
+				properties: {
+					days: { type: 'integer', minimum: 1 }
+				}
+			},
+
+			/**
+			 * Status change of a user's tokens, or of one of them (jti)
+			 *
+			 * @type {Object}
+			 */
+			status: {
+				type: 'object',
+				required: ['status'],
+				properties: {
+					status: { 'enum': ['enabled', 'suspended', 'revoked'] },
+					reason: { type: 'string', maxLength: 500 },
+					jti: { type: 'string', minLength: 1 }
+				}
+			},
+
+			/**
+			 * Token to be introspected, access or refresh token. The type hint is accepted
+			 * but not needed, the token format tells them apart
+			 *
+			 * @type {Object}
+			 */
+			introspect: {
+				type: 'object',
+				required: ['token'],
+				properties: {
+					token: { type: 'string', minLength: 1 },
+					token_type_hint: { 'enum': ['access_token', 'refresh_token'] }
+				}
+			},
+
+			/**
+			 * Introspection response, RFC 7662. Only 'active' is set for inactive tokens
+			 *
+			 * @type {Object}
+			 */
+			introspection: {
+				type: 'object',
+				required: ['active'],
+				properties: {
+					active: { type: 'boolean' },
+					token_type: { 'enum': ['access_token', 'refresh_token'] },
+					scope: { type: 'string' },
+					roles: { type: 'array', items: { type: 'string' } },
+					sub: { type: 'string' },
+					authority: { type: 'string' },
+					family: { type: 'string' },
+					iat: { type: 'integer' },
+					exp: { type: 'integer' },
+					jti: { type: 'string' }
+				}
+			},
+
+			/**
+			 * Requesting token: user ID, granted scope & roles, issuer, issue & expiry times
+			 *
+			 * @type {Object}
+			 */
+			me: {
+				type: 'object',
+				properties: {
+					id: { type: 'string' },
+					scope: { type: 'array', items: { type: 'string' } },
+					roles: { type: 'array', items: { type: 'string' } },
+					issuer: { type: 'string' },
+					issued: { type: 'string', format: 'date-time' },
+					expires: { type: 'string', format: 'date-time' }
+				}
+			},
+
+			/**
+			 * Issued access & refresh token pair, & the family they belong to
+			 *
+			 * @type {Object}
+			 */
+			tokens: {
+				type: 'object',
+				properties: {
+					token: { type: 'string' },
+					refresh: { type: 'string' },
+					family: { type: 'string' }
+				}
+			}
+		},
+
 		/**
 		 * Validate utilities
 		 *
@@ -125,11 +1030,18 @@ module.exports = (function (libs) {
 			tokenFormat: /^(Bearer )([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)$/,
 
 			/**
-			 * Verify a token's signature
+			 * Access token format, without the Bearer prefix
+			 *
+			 * @type {RegExp}
+			 */
+			jwtFormat: /^([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)$/,
+
+			/**
+			 * Verify a token's signature, using the key named in its header
 			 *
 			 * @type {Function}
 			 */
-			signature: libs.Promise.promisify(libs.jwt.verify),
+			signature: libs.Keys.verify,
 
 			/**
 			 * Verifies whether a token structure is valid
@@ -145,8 +1057,39 @@ module.exports = (function (libs) {
 				return libs._.isObject(payload) &&
 					payload.hasOwnProperty('id') &&
 					libs._.isString(payload.id) &&
+					internals.validate.jti(payload) &&
 					payload.hasOwnProperty('scope') &&
-					libs._.isArray(payload.scope);
+					libs._.isArray(payload.scope) &&
+					(!payload.hasOwnProperty('roles') || internals.validate.strings(payload.roles));
+			},
+
+			/**
+			 * Verifies whether a token has a jti claim, identifying its record.
+			 * Tokens without one (e.g. legacy tokens) are never looked up
+			 *
+			 * @param  {Object} payload Decoded token object
+			 *
+			 * @return {Boolean}        Returns true if the jti claim is a non-empty string
+			 *
+			 * @private
+			 */
+			jti: function (payload) {
+
+				return libs._.isObject(payload) && libs._.isString(payload.jti) && payload.jti.length > 0;
+			},
+
+			/**
+			 * Verifies whether a value is an array of strings
+			 *
+			 * @param  {Array}   list Value to verify
+			 *
+			 * @return {Boolean}      Returns true if valid
+			 *
+			 * @private
+			 */
+			strings: function (list) {
+
+				return libs._.isArray(list) && libs._.every(list, libs._.isString);
 			},
 
 			/**
@@ -165,26 +1108,51 @@ module.exports = (function (libs) {
 		},
 
 		/**
-		 * Confirm the from the request token is present & enabled in the database
+		 * Confirm the from the request token is present & enabled in the database,
+		 * based on its jti claim. Suspended tokens are refused with their own error.
+		 * Attaches the token record and expands the scope & roles of the record (not
+		 * of the token claims) into the effective request scope
 		 * Current scope is an object with a request, response & next properties (via .bind)
 		 *
 		 * @param  {Object}   token     Decoded token from the request
 		 * @param  {Object}   result    Database response with token record
 		 *
-		 * @return {void}
+		 * @return {Promise|void}
 		 *
 		 * @private
 		 */
 		confirmToken: function (token, result) {
 
-			if (result && result.token === this.request.tokenString) {
+			var matches = result && internals.validate.jti(token) && result.jti === token.jti;
+
+			if (matches && result.status === 'enabled') {
 				this.request.token = token;
-				this.next();
+				this.request.tokenRecord = result;
+				return libs.Permissions.expand(result.scope, result.roles)
+					.then(internals.grant.bind(this));
+			} else if (matches && result.status === 'suspended') {
+				internals.refuse.call(this, {name: 'TokenSuspendedError'});
 			} else {
-				this.next({name: 'JsonWebTokenError'});
+				internals.refuse.call(this, {name: 'JsonWebTokenError'});
 			}
 		},
 
+		/**
+		 * Attach the effective scope (direct scope & role scopes) to the request
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Array} scope Effective scope
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		grant: function (scope) {
+
+			this.request.scope = scope;
+			this.next();
+		},
+
 		/**
 		 * Success handler for token verification
 		 * Current scope is an object with a request, response & next properties (via .bind)
@@ -194,20 +1162,16 @@ module.exports = (function (libs) {
 		 * @param  {Function} next        Next handler
 		 * @param  {Object}   token       Decoded token
 		 *
-		 * @return {void}
+		 * @return {Promise|void}
 		 *
 		 * @private
 		 */
 		onTokenDecodeSuccess: function (token) {
 
-			var filters = {
-				scope:  token.scope,
-				user: 	token.id,
-				status: 'enabled'
-			};
-
-			libs.Database.list('tokens', filters)
-				.then(libs._.first)
+			if (!internals.validate.jti(token)) {
+				return internals.refuse.call(this, {name: 'JsonWebTokenError'});
+			}
+			return libs.TokenCache.lookup(token)
 				.then(internals.confirmToken.bind(this, token));
 		},
 
@@ -226,12 +1190,31 @@ module.exports = (function (libs) {
 		 */
 		onTokenDecodeError: function (error) {
 
+			internals.refuse.call(this, error);
+		},
+
+		/**
+		 * Refuse a request failing authentication, recording the failure
+		 * for the IP's authentication failure limit
+		 * Current scope is an object with a request, response & next properties (via .bind)
+		 *
+		 * @param  {Object} error Error or object with error name & message
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		refuse: function (error) {
+
+			internals.failures.inc({error: error.name || 'Error'});
+			libs.RateLimiter.failure(this.request);
 			this.next(error);
 		},
 
 		/**
 		 * Middleware function that confirms or denies access
-		 * based on token scope and specified required permissions.
+		 * based on the effective request scope and specified required permissions.
+		 * Scopes may use wildcards, e.g. 'Tokens.*'
 		 * Current scope is an object with a 'permissions' property (via .bind)
 		 *
 		 * @param  {Array}    permissions List of permissions
@@ -245,7 +1228,7 @@ module.exports = (function (libs) {
 		 */
 		processPermissions: function (request, response, next) {
 
-			if (libs._.intersection(this.permissions, request.token.scope).length === this.permissions.length) {
+			if (libs.Permissions.satisfies(request.scope, this.permissions)) {
 				next();
 			} else {
 				next({name: 'TokenPermissionError'});
@@ -288,24 +1271,22 @@ module.exports = (function (libs) {
 				token:		request.get('authorization'),
 				method:		request.method,
 				endpoint:	request.originalUrl,
-				payload:	request.body
+				payload:	request.body,
+				requestId:	request.id
 			};
 
-			request.analytics.event({
-				eventCategory:	log.endpoint,
-				eventAction:	log.method,
-				eventLabel:		log.user
-			}).send();
+			libs.Analytics.request(request, response);
+			libs.TokenUsage.record(request);
 
 			var filteredPaths = ['/logs'];
 
 			if (filteredPaths.indexOf(request.path) === -1) {
 				libs.console.save(log);
 			}
-			libs.console.log(
-				log.time, log.user, '(ip: ' + log.ip + ')',
+			libs.console.request(request).info(
+				log.user, '(ip: ' + log.ip + ')',
 				log.method, log.endpoint,
-				libs._.isEmpty(log.payload) === false ? JSON.stringify(log.payload) : ''
+				libs._.isEmpty(log.payload) === false ? JSON.stringify(libs.Redact.payload(log.payload)) : ''
 			);
 			next();
 		},
@@ -339,29 +1320,24 @@ module.exports = (function (libs) {
 		 * @param  {Object}   response Response
 		 * @param  {Function} next     Next handler
 		 *
-		 * @return {void}
+		 * @return {Promise|void}
 		 *
 		 * @public
 		 */
 		authenticate: function (request, response, next) {
 
-			request.analytics = libs.analytics(config.analytics, request.get('authorization'), {
-				strictCidFormat: false
-			});
-
 			var scope = internals.scope(request, response, next);
 			if (internals.validate.tokenFormat.test(request.get('authorization'))) {
 				request.tokenString = libs._.last(request.get('authorization').split(' ')) || '';
-				internals.validate.signature(request.tokenString, config.security.secret)
-					.then(internals.onTokenDecodeSuccess.bind(scope))
-					.catch(internals.onTokenDecodeError.bind(scope));
+				return internals.validate.signature(request.tokenString)
+					.then(internals.onTokenDecodeSuccess.bind(scope), internals.onTokenDecodeError.bind(scope));
 			} else {
-				next({name: 'InvalidPayloadError'});
+				internals.refuse.call(scope, {name: 'InvalidPayloadError'});
 			}
 		},
 
 		/**
-		 * Generates a token for an ID with a specified scope
+		 * Shows the public keys used for verifying tokens, as a JSON Web Key Set
 		 *
 		 * @param  {Object}   request  Request
 		 * @param  {Object}   response Response
@@ -371,37 +1347,71 @@ module.exports = (function (libs) {
 		 *
 		 * @public
 		 */
+		jwks: function (request, response, next) {
+
+			request.status = 200;
+			internals.respond.call(internals.scope(request, response, next), libs.Keys.jwks());
+		},
+
+		/**
+		 * Generates a token for an ID with a specified scope & roles.
+		 * The granted scope may not exceed the issuer's scope or delegation limits.
+		 * Optional delegation limits (validity, scope) are stored with the new token
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
 		generate: function (request, response, next) {
 
 			var scope = internals.scope(request, response, next);
 			request.body.id = request.params.user;
-			if (internals.validate.token(request.body)) {
-				var options = {
-					algorithm: 'HS256',
-					expiresIn: request.body.validity || '24 hours'
+			request.status = 201;
+			return libs.Promise.all([
+				libs.Database.list('tokens', {jti: request.token.jti}).then(libs._.first),
+				libs.Permissions.expand(request.body.scope, request.body.roles)
+			])
+				.spread(internals.delegate.bind(scope))
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Exchanges a refresh token for a new access & refresh token pair.
+		 * Replaying an already used refresh token revokes its whole family
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise|void}
+		 *
+		 * @public
+		 */
+		refresh: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+			if (libs._.isObject(request.body) && libs._.isString(request.body.refresh)) {
+				var hash = internals.refresh.hash(request.body.refresh);
+				var filters = {
+					$or: [{refresh: hash}, {used: hash}]
 				};
-				var token = libs.jwt.sign(request.body, config.security.secret, options);
-				libs.Database.upsert('tokens', {
-					time:		libs.moment().format(),
-					token:		token,
-					user:		request.body.id,
-					validity:	options.expiresIn,
-					scope:		request.body.scope,
-					status:		'enabled',
-					authority:	request.token.id
-				}, {
-					user: request.body.id
-				});
 
 				request.status = 201;
-				internals.respond.call(scope, {token: token});
+				return libs.Database.list('tokens', filters)
+					.then(libs._.first)
+					.then(internals.exchange.bind(scope, hash));
 			} else {
 				next({name: 'InvalidPayloadError'});
 			}
 		},
 
 		/**
-		 * Invalidates a token based on user ID
+		 * Shows the requesting token: user ID, effective scope (granted directly
+		 * & through roles, as enforced), roles, issuer (authority), issue & expiry times
 		 *
 		 * @param  {Object}   request  Request
 		 * @param  {Object}   response Response
@@ -411,63 +1421,263 @@ module.exports = (function (libs) {
 		 *
 		 * @public
 		 */
-		invalidate: function (request, response, next) {
+		me: function (request, response, next) {
+
+			internals.respond.call(internals.scope(request, response, next), {
+				id:			request.token.id,
+				scope:		request.scope,
+				roles:		request.tokenRecord.roles || [],
+				issuer:		request.tokenRecord.authority,
+				issued:		libs.moment.unix(request.token.iat).format(),
+				expires:	libs.moment.unix(request.token.exp).format()
+			});
+		},
+
+		/**
+		 * Describes whether an access or refresh token is active & what it grants,
+		 * RFC 7662 style, without exposing other tokens
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		introspect: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+			var token = request.body.token;
+
+			return libs.Promise.resolve(internals.validate.jwtFormat.test(token) ?
+				internals.introspection.access(token) :
+				internals.introspection.refresh(token))
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Revokes all tokens belonging to a token family. Revoked records are kept for audit
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		revoke: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+			var filters = {
+				family: request.params.family
+			};
+
+			return internals.transition(filters, 'revoked', 'Deleted', request.token.id, internals.origin(request))
+				.then(internals.revoked)
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Changes the status of a user's tokens (or of one token, by jti): suspends,
+		 * reinstates or revokes them, recording the reason & the requesting user
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		status: function (request, response, next) {
 
 			var scope = internals.scope(request, response, next);
 			var filters = {
 				user: request.params.user
 			};
 
-			libs.Database.remove('tokens', filters)
+			if (request.body.jti) {
+				filters.jti = request.body.jti;
+			}
+
+			return internals.transition(filters, request.body.status, request.body.reason, request.token.id, internals.origin(request))
+				.then(internals.changed.bind(scope, filters))
 				.then(internals.respond.bind(scope));
 		},
 
 		/**
-		 * Shows all token entries
+		 * Revokes the tokens of a user. Revoked records are kept for audit
 		 *
 		 * @param  {Object}   request  Request
 		 * @param  {Object}   response Response
 		 * @param  {Function} next     Next handler
 		 *
-		 * @return {void}
+		 * @return {Promise}
 		 *
 		 * @public
 		 */
-		list: function (request, response, next) {
+		invalidate: function (request, response, next) {
 
 			var scope = internals.scope(request, response, next);
-			libs.Database.list('tokens')
+			var filters = {
+				user: request.params.user
+			};
+
+			return internals.transition(filters, 'revoked', 'Deleted', request.token.id, internals.origin(request))
+				.then(internals.revoked)
 				.then(internals.respond.bind(scope));
 		},
 
 		/**
-		 * Shows log entries for a user
+		 * Revokes a single token of a user, based on its jti. Revoked records are kept for audit
 		 *
 		 * @param  {Object}   request  Request
 		 * @param  {Object}   response Response
 		 * @param  {Function} next     Next handler
 		 *
-		 * @return {void}
+		 * @return {Promise}
 		 *
 		 * @public
 		 */
-		logs: function (request, response, next) {
+		invalidateOne: function (request, response, next) {
 
 			var scope = internals.scope(request, response, next);
+			var filters = {
+				user:	request.params.user,
+				jti:	request.params.jti
+			};
+
+			return internals.transition(filters, 'revoked', 'Deleted', request.token.id, internals.origin(request))
+				.then(internals.revoked)
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Shows the active tokens of a user
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		active: function (request, response, next) {
 
-			var filters = {};
+			var scope = internals.scope(request, response, next);
+			var filters = {
+				user:		request.params.user,
+				status:		'enabled',
+				expires:	{ $gt: libs.moment().format() }
+			};
 			var sort = {
 				time: -1
 			};
 
-			if (libs._.isEmpty(request.query) === false) {
-				filters = libs._.extend(filters, request.query);
-			}
+			return libs.Database.list('tokens', filters, sort)
+				.then(libs.TokenUsage.overlay)
+				.then(internals.summary)
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Shows all tokens, with their usage: last used time, last IP & number of requests
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		list: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+			return libs.Database.list('tokens')
+				.then(libs.TokenUsage.overlay)
+				.then(internals.summary)
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Shows the tokens not used for more than a number of days (query: days)
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		idle: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+			var sort = {
+				time: 1
+			};
+
+			return libs.TokenUsage.flush()
+				.then(libs.Database.list.bind(libs.Database, 'tokens', internals.idle(request.query.days), sort))
+				.then(internals.summary)
+				.then(internals.respond.bind(scope));
+		},
+
+		/**
+		 * Revokes the tokens not used for more than a number of days (query: days)
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		revokeIdle: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+			var reason = 'Idle for more than ' + request.query.days + ' day(s)';
+
+			return libs.TokenUsage.flush()
+				.then(libs.Database.list.bind(libs.Database, 'tokens', internals.idle(request.query.days)))
+				.then(function (records) {
 
-			libs.Database.list('logs', filters, sort)
+					return internals.transition({
+						jti: { $in: libs._.pluck(records, 'jti') }
+					}, 'revoked', reason, request.token.id, internals.origin(request));
+				})
+				.then(internals.revoked)
 				.then(internals.respond.bind(scope));
 		},
 
+		/**
+		 * Shows log entries, newest first, a page at a time.
+		 * Query: limit, cursor or page, from & to (time), type, user, ip, method,
+		 * endpoint (prefix) and fields (comma separated projection), see Query.
+		 * The total count & next page cursor are returned as headers
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		logs: function (request, response, next) {
+
+			var scope = internals.scope(request, response, next);
+
+			return libs.Query.parse(request.query, internals.logs)
+				.then(internals.search.bind(this, 'logs'))
+				.spread(internals.page.bind(scope));
+		},
+
 		/**
 		 * Returns a function that verifies permissions attached
 		 * to a token, in order to confirm access to a route
@@ -480,7 +1690,11 @@ module.exports = (function (libs) {
 		 */
 		require: function (permissions) {
 
-			return internals.processPermissions.bind({permissions: permissions});
+			var middleware = internals.processPermissions.bind({permissions: permissions});
+
+			// Listed as security requirements in the OpenAPI document
+			middleware.permissions = permissions;
+			return middleware;
 		}
 	};
 
@@ -492,21 +1706,97 @@ module.exports = (function (libs) {
 	 * @public
 	 */
 	var routes = [{
+		url: '/.well-known/jwks.json',
+		actions: [
+			actions.jwks
+		],
+		method: 'get'
+	}, {
+		url: '/tokens/refresh',
+		actions: [
+			libs.RateLimiter.guard,
+			actions.refresh
+		],
+		schema: {
+			responses: { 201: internals.schemas.tokens }
+		},
+		method: 'post'
+	}, {
 		url: '*',
 		actions: [
+			libs.RateLimiter.guard,
 			actions.authenticate,
 			actions.secure,
 			actions.require(['General.Access']),
+			libs.RateLimiter.token,
 			actions.access
 		],
 		method: 'all'
+	}, {
+		url: '/me',
+		actions: [
+			actions.me
+		],
+		schema: {
+			responses: { 200: internals.schemas.me }
+		},
+		method: 'get'
+	}, {
+		// Registered before '/tokens/:user', which would match it too
+		url: '/tokens/introspect',
+		actions: [
+			actions.require(['Tokens.Introspect']),
+			actions.introspect
+		],
+		schema: {
+			body: internals.schemas.introspect,
+			responses: { 200: internals.schemas.introspection }
+		},
+		method: 'post'
+	}, {
+		// Registered before '/tokens/:user', which would match them too
+		url: '/tokens/idle',
+		actions: [
+			actions.require(['Tokens.Generate', 'Tokens.List']),
+			actions.idle
+		],
+		schema: {
+			query: internals.schemas.idle
+		},
+		method: 'get'
+	}, {
+		url: '/tokens/idle',
+		actions: [
+			actions.require(['Tokens.Generate']),
+			actions.revokeIdle
+		],
+		schema: {
+			query: internals.schemas.idle
+		},
+		method: 'delete'
 	}, {
 		url: '/tokens/:user',
 		actions: [
 			actions.require(['Tokens.Generate']),
 			actions.generate
 		],
+		schema: {
+			params: internals.schemas.user,
+			body: internals.schemas.token,
+			responses: { 201: internals.schemas.tokens }
+		},
 		method: 'post'
+	}, {
+		url: '/tokens/:user',
+		actions: [
+			actions.require(['Tokens.Generate']),
+			actions.status
+		],
+		schema: {
+			params: internals.schemas.user,
+			body: internals.schemas.status
+		},
+		method: 'patch'
 	}, {
 		url: '/tokens/:user',
 		actions: [
@@ -514,6 +1804,27 @@ module.exports = (function (libs) {
 			actions.invalidate
 		],
 		method: 'delete'
+	}, {
+		url: '/tokens/:user',
+		actions: [
+			actions.require(['Tokens.Generate', 'Tokens.List']),
+			actions.active
+		],
+		method: 'get'
+	}, {
+		url: '/tokens/:user/:jti',
+		actions: [
+			actions.require(['Tokens.Generate']),
+			actions.invalidateOne
+		],
+		method: 'delete'
+	}, {
+		url: '/families/:family',
+		actions: [
+			actions.require(['Tokens.Generate']),
+			actions.revoke
+		],
+		method: 'delete'
 	}, {
 		url: '/tokens',
 		actions: [
@@ -531,6 +1842,8 @@ module.exports = (function (libs) {
 	}];
 
 	return {
+		// Registered first: the authentication wall ('*') precedes every other controller's routes
+		order: 0,
 		routes: routes,
 		require: actions.require,
 		respond: internals.respond,
@@ -541,9 +1854,19 @@ module.exports = (function (libs) {
 })({
 	moment:		require('moment'),
 	_:			require('underscore'),
+	ms:			require('ms'),
+	crypto:		require('crypto'),
 	jwt:		require('jsonwebtoken'),
-	analytics:	require('universal-analytics'),
 	Promise:	require('bluebird/js/release/promise')(),
 	console:	require(config.path + 'utilities/Console'),
-	Database:	require(config.path + 'utilities/Database')
+	Analytics:	require(config.path + 'utilities/Analytics'),
+	Database:	require(config.path + 'utilities/Database'),
+	Keys:		require(config.path + 'utilities/Keys'),
+	Metrics:	require(config.path + 'utilities/Metrics'),
+	Query:		require(config.path + 'utilities/Query'),
+	RateLimiter:	require(config.path + 'utilities/RateLimiter'),
+	TokenCache:		require(config.path + 'utilities/TokenCache'),
+	TokenUsage:		require(config.path + 'utilities/TokenUsage'),
+	Redact:		require(config.path + 'utilities/Redact'),
+	Permissions:	require(config.path + 'utilities/Permissions')
 });
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Usage analytics adapters: aggregated in the database, or sent to
+ * Google Analytics with user IDs hashed with the analytics salt
+ */
+var assert = require('assert');
+var crypto = require('crypto');
+var Server = require('./support/Server');
+
+describe('Analytics', function () {
+
+	var Database;
+
+	/**
+	 * A hit, as queued by Analytics
+	 *
+	 * @param  {String} type Hit type: request or exception
+	 * @param  {String} user User ID, null for unauthenticated requests
+	 *
+	 * @return {Object}      Hit
+	 */
+	var hit = function (type, user) {
+
+		return { type: type, time: new Date('2020-01-01T12:00:00Z'), route: '/me', method: 'get', user: user, status: 200 };
+	};
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				Database = require(config.path + 'utilities/Database');
+			});
+	});
+
+	it('aggregates hits per day, route, method & user in the database', function () {
+
+		var adapter = require(config.path + 'utilities/analytics/LocalAnalytics')({ collection: 'usage' });
+		var hits = [hit('request', 'ana'), hit('request', 'ana'), hit('exception', 'ana'), hit('request', null)];
+
+		return adapter.write(hits)
+			.then(adapter.write.bind(adapter, hits))
+			.then(function () {
+
+				return Database.list('usage', {}, { requests: 1 });
+			})
+			.then(function (rows) {
+
+				assert.deepStrictEqual(rows.map(function (row) {
+
+					return [row.day, row.route, row.method, row.user, row.requests, row.errors];
+				}), [
+					['2020-01-01', '/me', 'get', null, 2, 0],
+					['2020-01-01', '/me', 'get', 'ana', 4, 2]
+				]);
+			});
+	});
+
+	it('sends Google Analytics client IDs hashed with the analytics salt only', function () {
+
+		var name = require.resolve('universal-analytics');
+		var original = require.cache[name];
+		var file = require.resolve(config.path + 'utilities/analytics/GoogleAnalytics');
+		var visitors = [];
+		var adapter;
+
+		// Visitors recording their client ID & hits instead of sending them
+		require.cache[name] = {
+			id: name,
+			filename: name,
+			loaded: true,
+			exports: function (trackingId, client) {
+
+				var visitor = { trackingId: trackingId, client: client, hits: [] };
+
+				visitor.event = visitor.exception = function (hit) {
+
+					visitor.hits.push(hit);
+					return visitor;
+				};
+				visitor.send = function (callback) {
+
+					callback();
+				};
+				visitors.push(visitor);
+				return visitor;
+			}
+		};
+		delete require.cache[file];
+		try {
+			adapter = require(file)({ trackingId: 'UA-12345-1', salt: 'the analytics salt' });
+		} finally {
+			require.cache[name] = original;
+			delete require.cache[file];
+		}
+
+		return adapter.write([hit('request', 'ana'), hit('request', null)])
+			.then(function () {
+
+				assert.deepStrictEqual(visitors.map(function (visitor) {
+
+					return visitor.client;
+				}), ['ana', 'anonymous'].map(function (user) {
+
+					return crypto.createHmac('sha256', 'the analytics salt').update(user).digest('hex');
+				}));
+				assert.strictEqual(visitors[0].trackingId, 'UA-12345-1');
+				assert.ok(JSON.stringify(visitors).indexOf('"ana"') === -1);
+			});
+	});
+});
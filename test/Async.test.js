@@ -0,0 +1,135 @@
+/**
+ * Async error propagation: rejected actions reach the error handler,
+ * database errors are mapped & slow requests time out
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Async error handling', function () {
+
+	var admin;
+	var Async;
+	var Database;
+	var list;
+
+	/**
+	 * Replace the listing of all token records, leaving other lookups alone
+	 *
+	 * @param  {Function} replacement Listing returning a promise
+	 *
+	 * @return {void}
+	 */
+	var replace = function (replacement) {
+
+		Database.list = function (collection, filters) {
+
+			return collection === 'tokens' && !filters ? replacement() : list.apply(Database, arguments);
+		};
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Async = require(config.path + 'utilities/Async');
+				Database = require(config.path + 'utilities/Database');
+				list = Database.list;
+			});
+	});
+
+	afterEach(function () {
+
+		Database.list = list;
+	});
+
+	it('maps database driver errors', function () {
+
+		assert.deepStrictEqual(Async.error({ name: 'MongoError', code: 11000, message: 'E11000 duplicate key' }), {
+			name:		'DuplicateKeyError',
+			message:	'E11000 duplicate key'
+		});
+		assert.deepStrictEqual(Async.error({ name: 'MongoNetworkError', message: 'Connection closed' }), {
+			name:		'DatabaseError',
+			message:	'Connection closed'
+		});
+		assert.deepStrictEqual(Async.error({ name: 'NoDataAvailableError' }), { name: 'NoDataAvailableError' });
+	});
+
+	it('passes thrown errors & rejections of actions on to the next handler', function () {
+
+		var response = { headersSent: false };
+
+		return Promise.all([
+			new Promise(function (resolve) {
+
+				Async.wrap(function () {
+
+					throw { name: 'InvalidPayloadError' };
+				})({}, response, resolve);
+			}),
+			new Promise(function (resolve) {
+
+				Async.wrap(function () {
+
+					return Promise.reject({ name: 'MongoError', code: 11001, message: 'Duplicate' });
+				})({}, response, resolve);
+			})
+		])
+			.then(function (errors) {
+
+				assert.deepStrictEqual(errors, [
+					{ name: 'InvalidPayloadError' },
+					{ name: 'DuplicateKeyError', message: 'Duplicate' }
+				]);
+			});
+	});
+
+	it('answers requests whose database operations fail', function () {
+
+		replace(function () {
+
+			return Promise.reject({ name: 'MongoNetworkError', message: 'Connection closed' });
+		});
+
+		return Server.request('get', '/tokens', admin)
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 500);
+				assert.strictEqual(response.body.code, 116);
+			});
+	});
+
+	it('answers removals of nothing with an error', function () {
+
+		return Server.request('delete', '/tokens/nobody', admin)
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 409);
+				assert.strictEqual(response.body.code, 107);
+			});
+	});
+
+	it('times out requests that are not answered in time', function () {
+
+		var timeout = config.requests.timeout;
+
+		config.requests.timeout = '100 milliseconds';
+		replace(function () {
+
+			return new Promise(function () {});
+		});
+
+		return Server.request('get', '/tokens', admin)
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 503);
+				assert.strictEqual(response.body.code, 118);
+			})
+			.finally(function () {
+
+				config.requests.timeout = timeout;
+			});
+	});
+});
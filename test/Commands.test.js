@@ -0,0 +1,78 @@
+/**
+ * Command line entry points: admin credential setup, logged to the logs collection
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Commands', function () {
+
+	var Commands;
+	var Database;
+
+	/**
+	 * Log entries of a command
+	 *
+	 * @param  {String} name Command name
+	 *
+	 * @return {Promise}     Resolves with the log entries
+	 */
+	var logged = function (name) {
+
+		return Database.list('logs', { method: 'CLI', endpoint: name });
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function () {
+
+				Commands = require(config.path + 'utilities/Commands');
+				Database = require(config.path + 'utilities/Database');
+			});
+	});
+
+	it('parses command names & flags, starting the server without a command', function () {
+
+		assert.deepStrictEqual(Commands.parse(['admin:token', '--force']), { name: 'admin:token', flags: { force: true } });
+		assert.deepStrictEqual(Commands.parse(['admin:token']), { name: 'admin:token', flags: { force: false } });
+		assert.strictEqual(Commands.parse([]), null);
+		assert.strictEqual(Commands.parse(['--force']), null);
+	});
+
+	it('refuses to replace an existing admin credential without --force, logging the attempt', function () {
+
+		return Commands.run({ name: 'admin:token', flags: { force: false } })
+			.then(function () {
+
+				assert.fail('The admin credential was replaced');
+			}, function (error) {
+
+				assert.match(error.message, /already exists/);
+				return logged('admin:token');
+			})
+			.then(function (entries) {
+
+				assert.ok(entries.some(function (entry) {
+
+					return /already exists/.test(entry.info) && entry.user === config.security.admin.id;
+				}));
+			});
+	});
+
+	it('refuses unknown commands, listing the available ones', function () {
+
+		return Commands.run({ name: 'admin:unknown', flags: { force: false } })
+			.then(function () {
+
+				assert.fail('The unknown command ran');
+			}, function (error) {
+
+				assert.match(error.message, /Unknown command "admin:unknown"\. Available: admin:token/);
+				return logged('admin:unknown');
+			})
+			.then(function (entries) {
+
+				assert.strictEqual(entries.length, 1);
+			});
+	});
+});
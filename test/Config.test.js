@@ -0,0 +1,138 @@
+/**
+ * Configuration: layers, environment variable overrides & validation
+ */
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('Configuration', function () {
+
+	var file = path.resolve(__dirname, '../config.js');
+
+	/**
+	 * Load the configuration afresh, with extra environment variables
+	 *
+	 * @param  {Object} variables Environment variables
+	 *
+	 * @return {Object}           Configuration
+	 */
+	var load = function (variables) {
+
+		var saved = Object.assign({}, process.env);
+
+		Object.assign(process.env, { NODE_ENV: 'test' }, variables);
+		delete require.cache[file];
+		try {
+			return require(file);
+		} finally {
+			delete require.cache[file];
+			Object.keys(process.env).forEach(function (name) {
+
+				if (!(name in saved)) {
+					delete process.env[name];
+				}
+			});
+			Object.assign(process.env, saved);
+		}
+	};
+
+	it('layers the environment file over the defaults', function () {
+
+		var loaded = load({});
+		var defaults = require(path.resolve(__dirname, '../config/default'));
+
+		assert.strictEqual(loaded.environment, 'test');
+		assert.strictEqual(loaded.port, 10041);
+		assert.strictEqual(loaded.database.adapter, 'memory');
+		assert.deepStrictEqual(loaded.database.retry, defaults.database.retry);
+	});
+
+	it('overrides any key with environment variables, parsing JSON values', function () {
+
+		var loaded = load({
+			HYDRA_PORT: '10099',
+			HYDRA_SECURITY__REFRESH__VALIDITY: '2 days',
+			HYDRA_LOGS__REDACT__PATHS: '["pin"]',
+			HYDRA_METRICS__ENABLED: 'false'
+		});
+
+		assert.strictEqual(loaded.port, 10099);
+		assert.strictEqual(loaded.security.refresh.validity, '2 days');
+		assert.deepStrictEqual(loaded.logs.redact.paths, ['pin']);
+		assert.strictEqual(loaded.metrics.enabled, false);
+	});
+
+	it('reads secrets from files, as strings', function () {
+
+		var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hydra-config-')), 'secret');
+
+		fs.writeFileSync(file, '12345678901234567890\n');
+		try {
+			assert.strictEqual(load({ HYDRA_SECURITY__SECRET_FILE: file }).security.secret, '12345678901234567890');
+		} finally {
+			fs.rmSync(path.dirname(file), { recursive: true, force: true });
+		}
+	});
+
+	it('refuses invalid values, listing them', function () {
+
+		assert.throws(function () {
+
+			load({ HYDRA_PORT: 'any', HYDRA_DATABASE__ADAPTER: 'sqlite' });
+		}, function (error) {
+
+			return /Invalid test configuration/.test(error.message) &&
+				/port /.test(error.message) && /database\.adapter /.test(error.message);
+		});
+		assert.throws(function () {
+
+			load({ NODE_ENV: '../default' });
+		}, /Invalid NODE_ENV/);
+	});
+
+	it('refuses to start in production without a secret, or with the default secret', function () {
+
+		var defaults = require(path.resolve(__dirname, '../config/default'));
+
+		assert.throws(function () {
+
+			load({ NODE_ENV: 'production' });
+		}, /security\.secret/);
+		assert.throws(function () {
+
+			load({ NODE_ENV: 'production', HYDRA_SECURITY__SECRET: defaults.security.secret });
+		}, /security\.secret must be changed from the default secret in production/);
+	});
+
+	describe('Google Analytics', function () {
+
+		var google = {
+			HYDRA_ANALYTICS__ADAPTER: 'google',
+			HYDRA_ANALYTICS__GOOGLE__TRACKINGID: 'UA-12345-1'
+		};
+
+		it('requires a salt of its own for the user IDs', function () {
+
+			assert.throws(function () {
+
+				load(google);
+			}, /analytics\.google\.salt/);
+		});
+
+		it('refuses short salts', function () {
+
+			assert.throws(function () {
+
+				load(Object.assign({ HYDRA_ANALYTICS__GOOGLE__SALT: 'short' }, google));
+			}, /analytics\.google\.salt/);
+		});
+
+		it('starts with a tracking ID & a salt', function () {
+
+			var loaded = load(Object.assign({ HYDRA_ANALYTICS__GOOGLE__SALT: 'a salt of the analytics only' }, google));
+
+			assert.strictEqual(loaded.analytics.google.salt, 'a salt of the analytics only');
+		});
+	});
+});
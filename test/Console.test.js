@@ -0,0 +1,129 @@
+/**
+ * Logger: leveled messages, request IDs & transports
+ */
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Server = require('./support/Server');
+
+describe('Logger', function () {
+
+	var Console;
+	var Database;
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				Console = require(config.path + 'utilities/Console');
+				Database = require(config.path + 'utilities/Database');
+			});
+	});
+
+	it('drops messages below the configured level', function () {
+
+		var write = process.stdout.write;
+		var lines = [];
+
+		process.stdout.write = function (data, callback) {
+
+			lines.push(String(data));
+			return callback ? callback() : true;
+		};
+		Console.info('Below the test level');
+		Console.warn('At the test level');
+		return Console.flush()
+			.finally(function () {
+
+				process.stdout.write = write;
+			})
+			.then(function () {
+
+				var records = lines.join('').split('\n').filter(function (line) {
+
+					return line.charAt(0) === '{';
+				}).map(JSON.parse);
+
+				assert.ok(records.some(function (record) {
+
+					return record.level === 'warn' && record.message === 'At the test level';
+				}));
+				assert.ok(!records.some(function (record) {
+
+					return record.message === 'Below the test level';
+				}));
+			});
+	});
+
+	it('tags log entries with the request ID, generating IDs when none are given or they are invalid', function () {
+
+		var admin;
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				return Promise.all([
+					Server.request('get', '/me', admin, null, { 'X-Request-Id': 'trace-0001' }),
+					Server.request('get', '/me', admin, null, { 'X-Request-Id': 'not valid!' })
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].headers['x-request-id'], 'trace-0001');
+				assert.match(responses[1].headers['x-request-id'], /^[0-9a-f]{24}$/);
+				return Console.flush();
+			})
+			.then(function () {
+
+				return Database.list('logs', { requestId: 'trace-0001' });
+			})
+			.then(function (entries) {
+
+				assert.strictEqual(entries.length, 1);
+				assert.strictEqual(entries[0].type, 'request');
+				assert.strictEqual(entries[0].endpoint, '/me');
+			});
+	});
+
+	it('stores payloads with keys the database refuses', function () {
+
+		var transport = require(config.path + 'utilities/transports/DatabaseTransport')({ collection: 'transport' });
+
+		return transport.write([{ type: 'request', payload: { $where: 'true', 'a.b': { $gt: 1 } } }, { level: 'info', message: 'Plain' }])
+			.then(function () {
+
+				return Database.list('transport', {});
+			})
+			.then(function (rows) {
+
+				assert.deepStrictEqual(rows[0].payload, { '＄where': 'true', 'a．b': { '＄gt': 1 } });
+				assert.strictEqual(rows[1].type, 'log');
+				assert.strictEqual(rows[1].message, 'Plain');
+			});
+	});
+
+	it('rotates log files past their size, keeping a number of files', function () {
+
+		var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hydra-logs-'));
+		var file = path.join(directory, 'hydra.log');
+		var transport = require(config.path + 'utilities/transports/FileTransport')({ path: file, size: 100, files: 2 });
+		var record = { level: 'info', message: new Array(60).join('x') };
+
+		return transport.write([record])
+			.then(transport.write.bind(transport, [record]))
+			.then(transport.write.bind(transport, [record]))
+			.then(transport.write.bind(transport, [record]))
+			.then(function () {
+
+				assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['hydra.log', 'hydra.log.1', 'hydra.log.2']);
+				assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), record);
+			})
+			.finally(function () {
+
+				fs.rmSync(directory, { recursive: true, force: true });
+			});
+	});
+});
@@ -0,0 +1,130 @@
+/**
+ * Token issuance on behalf of other tokens: no privilege escalation
+ * beyond the issuer's scope & delegation limits
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Delegation', function () {
+
+	var issuer;
+
+	/**
+	 * Issue a token as the delegating issuer
+	 *
+	 * @param  {String} user     User ID
+	 * @param  {Object} settings Token settings
+	 *
+	 * @return {Promise}         Resolves with the response
+	 */
+	var delegate = function (user, settings) {
+
+		return Server.request('post', '/tokens/' + user, issuer.token, settings);
+	};
+
+	/**
+	 * Check a refusal for escalating privileges
+	 *
+	 * @param  {Object} response Response
+	 *
+	 * @return {void}
+	 */
+	var refused = function (response) {
+
+		assert.strictEqual(response.status, 403);
+		assert.strictEqual(response.body.code, 110);
+	};
+
+	before(function () {
+
+		return Server.issue('issuer', {
+			scope: ['General.Access', 'Tokens.Generate', 'Tokens.List'],
+			validity: '1 hour',
+			delegation: {
+				validity: '10 minutes',
+				scope: ['General.Access', 'Tokens.List']
+			}
+		}).then(function (tokens) {
+
+			issuer = tokens;
+		});
+	});
+
+	it('issues tokens within the issuer delegation limits, recording the issuer', function () {
+
+		return delegate('delegate', { scope: ['General.Access'], validity: '5 minutes' })
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 201);
+				return Server.request('get', '/me', response.body.token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.body.issuer, 'issuer');
+				assert.deepStrictEqual(response.body.scope, ['General.Access']);
+			});
+	});
+
+	it('refuses scopes the issuer lacks', function () {
+
+		return delegate('delegate', { scope: ['General.Access', 'Roles.Manage'], validity: '5 minutes' })
+			.then(refused);
+	});
+
+	it('refuses scopes beyond the issuer delegation scope', function () {
+
+		return delegate('delegate', { scope: ['General.Access', 'Tokens.Generate'], validity: '5 minutes' })
+			.then(refused);
+	});
+
+	it('refuses validities beyond the issuer delegation validity', function () {
+
+		return Promise.all([
+			delegate('delegate', { scope: ['General.Access'], validity: '1 hour' }),
+			delegate('delegate', { scope: ['General.Access'] })
+		]).then(function (responses) {
+
+			responses.forEach(refused);
+		});
+	});
+
+	it('refuses to pass on delegation limits beyond its own', function () {
+
+		return Promise.all([
+			delegate('delegate', {
+				scope: ['General.Access'],
+				validity: '5 minutes',
+				delegation: { validity: '1 day' }
+			}),
+			delegate('delegate', {
+				scope: ['General.Access'],
+				validity: '5 minutes',
+				delegation: { scope: ['Tokens.Generate'] }
+			})
+		]).then(function (responses) {
+
+			responses.forEach(refused);
+		});
+	});
+
+	it('refuses tokens for the admin user ID to issuers other than the admin', function () {
+
+		return delegate(config.security.admin.id, { scope: ['General.Access'], validity: '5 minutes' })
+			.then(refused);
+	});
+
+	it('refuses issuance to tokens without the Tokens.Generate scope', function () {
+
+		return Server.issue('reader', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				return Server.request('post', '/tokens/other', tokens.token, { scope: ['General.Access'] });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				assert.strictEqual(response.body.code, 102);
+			});
+	});
+});
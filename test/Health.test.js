@@ -0,0 +1,79 @@
+/**
+ * Health & readiness probes and Prometheus metrics, served without a token
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Health & metrics', function () {
+
+	var admin;
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+			});
+	});
+
+	it('answers the liveness probe', function () {
+
+		return Server.request('get', '/healthz')
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.body.status, 'ok');
+				assert.strictEqual(typeof response.body.uptime, 'number');
+			});
+	});
+
+	it('answers the readiness probe while the database is usable', function () {
+
+		var Database = require(config.path + 'utilities/Database');
+		var ping = Database.ping;
+
+		return Server.request('get', '/readyz')
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.body.status, 'ready');
+
+				Database.ping = function () {
+
+					return Promise.reject(new Error('Connection lost'));
+				};
+				return Server.request('get', '/readyz');
+			})
+			.finally(function () {
+
+				Database.ping = ping;
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 503);
+				assert.strictEqual(response.body.code, 113);
+			});
+	});
+
+	it('counts requests by route pattern & status, and token verification failures', function () {
+
+		return Promise.all([
+			Server.request('get', '/tokens/metrics', admin),
+			Server.request('get', '/me', 'Bearer.invalid.token')
+		])
+			.then(function () {
+
+				return Server.request('get', '/metrics');
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.match(response.headers['content-type'], /^text\/plain/);
+				assert.match(response.body, /^http_requests_total\{method="get",route="\/tokens\/:user",status="200"\} [1-9]/m);
+				assert.match(response.body, /^http_request_duration_seconds_count\{method="get",route="\/tokens\/:user",status="200"\} [1-9]/m);
+				assert.match(response.body, /^token_verification_failures_total\{error="JsonWebTokenError"\} [1-9]/m);
+				assert.match(response.body, /^database_operation_duration_seconds_count\{operation="list",collection="tokens"\} [1-9]/m);
+			});
+	});
+});
@@ -0,0 +1,138 @@
+/**
+ * "Who am I" & token introspection (RFC 7662)
+ */
+var assert = require('assert');
+var moment = require('moment');
+var Server = require('./support/Server');
+
+describe('Introspection', function () {
+
+	var admin;
+
+	/**
+	 * Introspect a token, as the admin
+	 *
+	 * @param  {String} token Access or refresh token
+	 *
+	 * @return {Promise}      Resolves with the introspection response body
+	 */
+	var introspect = function (token) {
+
+		return Server.request('post', '/tokens/introspect', admin, { token: token })
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return response.body;
+			});
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				return Server.request('put', '/roles/introspected', admin, { scope: ['Tokens.List'] });
+			});
+	});
+
+	it('describes the caller', function () {
+
+		var tokens;
+
+		return Server.issue('whoami', { scope: ['General.Access'], roles: ['introspected'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				var claims = Server.claims(tokens.token);
+
+				assert.strictEqual(response.status, 200);
+				assert.deepStrictEqual(response.body, {
+					id:			'whoami',
+					scope:		['General.Access', 'Tokens.List'],
+					roles:		['introspected'],
+					issuer:		config.security.admin.id,
+					issued:		moment.unix(claims.iat).format(),
+					expires:	moment.unix(claims.exp).format()
+				});
+			});
+	});
+
+	it('describes active access & refresh tokens, with the scope their roles grant', function () {
+
+		var tokens;
+
+		return Server.issue('introspected', { scope: ['General.Access'], roles: ['introspected'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Promise.all([introspect(tokens.token), introspect(tokens.refresh)]);
+			})
+			.then(function (bodies) {
+
+				var claims = Server.claims(tokens.token);
+
+				assert.deepStrictEqual(bodies[0], {
+					active:		true,
+					scope:		'General.Access Tokens.List',
+					roles:		['introspected'],
+					sub:		'introspected',
+					authority:	config.security.admin.id,
+					family:		tokens.family,
+					token_type:	'access_token',
+					iat:		claims.iat,
+					exp:		claims.exp,
+					jti:		claims.jti
+				});
+				assert.strictEqual(bodies[1].active, true);
+				assert.strictEqual(bodies[1].token_type, 'refresh_token');
+				assert.strictEqual(bodies[1].sub, 'introspected');
+			});
+	});
+
+	it('describes invalid, unknown & revoked tokens only as inactive', function () {
+
+		var tokens;
+
+		return Server.issue('inactive', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('delete', '/tokens/inactive', admin);
+			})
+			.then(function () {
+
+				return Promise.all([
+					introspect(tokens.token),
+					introspect(tokens.refresh),
+					introspect('not.a.token'),
+					introspect('unknown')
+				]);
+			})
+			.then(function (bodies) {
+
+				bodies.forEach(function (body) {
+
+					assert.deepStrictEqual(body, { active: false });
+				});
+			});
+	});
+
+	it('requires the introspection permission', function () {
+
+		return Server.issue('nosy', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				return Server.request('post', '/tokens/introspect', tokens.token, { token: admin });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				assert.strictEqual(response.body.code, 102);
+			});
+	});
+});
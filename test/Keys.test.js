@@ -0,0 +1,155 @@
+/**
+ * Signing keys: asymmetric keys read from PEM files, rotation by kid & JWKS
+ */
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var jwt = require('jsonwebtoken');
+var Server = require('./support/Server');
+
+describe('Signing keys', function () {
+
+	var directory;
+	var original;
+
+	/**
+	 * Write a PEM file
+	 *
+	 * @param  {String} name File name
+	 * @param  {Object} key  Key object
+	 * @param  {String} type Key encoding type: pkcs8 or spki
+	 *
+	 * @return {String}      File path
+	 */
+	var write = function (name, key, type) {
+
+		var file = path.join(directory, name);
+
+		fs.writeFileSync(file, key.export({type: type, format: 'pem'}));
+		return file;
+	};
+
+	/**
+	 * Load the keys module with a key configuration
+	 *
+	 * @param  {Object} keys Key configuration: active kid & key list
+	 *
+	 * @return {Object}      Keys module
+	 */
+	var load = function (keys) {
+
+		var file = require.resolve(config.path + 'utilities/Keys');
+		var cached = require.cache[file];
+		var module;
+
+		config.security.keys = keys;
+		delete require.cache[file];
+		module = require(file);
+		require.cache[file] = cached;
+		return module;
+	};
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hydra-keys-'));
+				original = config.security.keys;
+			});
+	});
+
+	afterEach(function () {
+
+		config.security.keys = original;
+	});
+
+	after(function () {
+
+		fs.rmSync(directory, {recursive: true, force: true});
+	});
+
+	it('signs with a private key only, deriving the public key for verification & the JWKS', function () {
+
+		var pair = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+		var Keys = load({
+			active: 'rsa',
+			list: [{ kid: 'rsa', algorithm: 'RS256', privateKey: write('rsa.pem', pair.privateKey, 'pkcs8') }]
+		});
+		var token = Keys.sign({ id: 'signed' }, { expiresIn: '1 hour' });
+		var jwks = Keys.jwks();
+
+		assert.strictEqual(jwt.decode(token, {complete: true}).header.kid, 'rsa');
+		assert.strictEqual(jwks.keys.length, 1);
+		assert.strictEqual(jwks.keys[0].kid, 'rsa');
+		assert.strictEqual(jwks.keys[0].kty, 'RSA');
+		assert.strictEqual(jwks.keys[0].alg, 'RS256');
+		return Keys.verify(token)
+			.then(function (payload) {
+
+				assert.strictEqual(payload.id, 'signed');
+			});
+	});
+
+	it('verifies tokens of retired keys listed with a public key only, by kid', function () {
+
+		var pair = crypto.generateKeyPairSync('ec', {namedCurve: 'P-256'});
+		var Keys = load({
+			active: 'current',
+			list: [
+				{ kid: 'current', algorithm: 'HS256' },
+				{ kid: 'retired', algorithm: 'ES256', publicKey: write('ec.pub.pem', pair.publicKey, 'spki') }
+			]
+		});
+		var retired = jwt.sign({ id: 'old' }, pair.privateKey.export({type: 'pkcs8', format: 'pem'}), {
+			algorithm: 'ES256',
+			headers: { kid: 'retired' }
+		});
+
+		assert.deepStrictEqual(Keys.jwks().keys.map(function (key) { return key.kid; }), ['retired']);
+		return Promise.all([Keys.verify(retired), Keys.verify(Keys.sign({ id: 'new' }, {}))])
+			.then(function (payloads) {
+
+				assert.strictEqual(payloads[0].id, 'old');
+				assert.strictEqual(payloads[1].id, 'new');
+			});
+	});
+
+	it('refuses tokens signed with unknown keys', function () {
+
+		var Keys = load(original);
+		var token = jwt.sign({ id: 'forged' }, 'another secret', { algorithm: 'HS256', headers: { kid: 'unknown' } });
+
+		return Keys.verify(token)
+			.then(function () {
+
+				assert.fail('Token of an unknown key accepted');
+			}, function (error) {
+
+				assert.strictEqual(error.name, 'JsonWebTokenError');
+			});
+	});
+
+	it('refuses to start without a private key for the active key', function () {
+
+		assert.throws(function () {
+
+			load({
+				active: 'verifying',
+				list: [{ kid: 'verifying', algorithm: 'RS256', publicKey: write('rsa.pub.pem', crypto.generateKeyPairSync('rsa', {modulusLength: 2048}).publicKey, 'spki') }]
+			});
+		}, /has no private key/);
+	});
+
+	it('serves the JWKS of the configured keys without a token', function () {
+
+		return Server.request('get', '/.well-known/jwks.json')
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.deepStrictEqual(response.body, { keys: [] });
+			});
+	});
+});
@@ -0,0 +1,205 @@
+/**
+ * Token lifecycle: enabled, suspended & revoked tokens, & the transitions
+ * between them
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Token lifecycle', function () {
+
+	var admin;
+
+	/**
+	 * Change the status of a user's tokens
+	 *
+	 * @param  {String} user User ID
+	 * @param  {Object} body Status, reason & jti
+	 *
+	 * @return {Promise}     Resolves with the response
+	 */
+	var status = function (user, body) {
+
+		return Server.request('patch', '/tokens/' + user, admin, body);
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+			});
+	});
+
+	it('suspends & reinstates tokens', function () {
+
+		var tokens;
+
+		return Server.issue('suspended', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return status('suspended', { status: 'suspended', reason: 'Investigation' });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return Promise.all([
+					Server.request('get', '/me', tokens.token),
+					Server.request('post', '/tokens/refresh', null, { refresh: tokens.refresh })
+				]);
+			})
+			.then(function (responses) {
+
+				responses.forEach(function (response) {
+
+					assert.strictEqual(response.status, 401);
+					assert.strictEqual(response.body.code, 114);
+				});
+				return status('suspended', { status: 'enabled' });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+			});
+	});
+
+	it('keeps the history of status changes & logs every change', function () {
+
+		return Server.issue('audited', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function () {
+
+				return status('audited', { status: 'suspended', reason: 'Investigation' });
+			})
+			.then(function () {
+
+				return status('audited', { status: 'enabled', reason: 'Cleared' });
+			})
+			.then(function () {
+
+				return Server.request('delete', '/tokens/audited', admin);
+			})
+			.then(function () {
+
+				return require(config.path + 'utilities/Console').flush();
+			})
+			.then(function () {
+
+				return Promise.all([
+					require(config.path + 'utilities/Database').list('tokens', { user: 'audited' }),
+					require(config.path + 'utilities/Database').list('logs', { type: 'operation', 'payload.filters.user': 'audited' }, { time: 1 })
+				]);
+			})
+			.then(function (results) {
+
+				var history = results[0][0].history;
+
+				assert.deepStrictEqual(history.map(function (change) { return [change.status, change.reason, change.actor]; }), [
+					['suspended', 'Investigation', 'admin'],
+					['enabled', 'Cleared', 'admin'],
+					['revoked', 'Deleted', 'admin']
+				]);
+				assert.deepStrictEqual(results[1].map(function (entry) { return [entry.method, entry.payload.status]; }), [
+					['PATCH', 'suspended'],
+					['PATCH', 'enabled'],
+					['DELETE', 'revoked']
+				]);
+			});
+	});
+
+	it('refuses transitions not allowed from the current status', function () {
+
+		return Server.issue('enabled', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function () {
+
+				return status('enabled', { status: 'enabled' });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 409);
+				assert.strictEqual(response.body.code, 115);
+			});
+	});
+
+	it('revokes tokens for good', function () {
+
+		var tokens;
+
+		return Server.issue('revoked', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('delete', '/tokens/revoked', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				return Promise.all([
+					status('revoked', { status: 'enabled' }),
+					status('revoked', { status: 'suspended' }),
+					Server.request('delete', '/tokens/revoked', admin)
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].status, 409);
+				assert.strictEqual(responses[0].body.code, 115);
+				assert.strictEqual(responses[1].status, 409);
+				assert.strictEqual(responses[1].body.code, 115);
+				assert.strictEqual(responses[2].status, 409);
+				assert.strictEqual(responses[2].body.code, 107);
+			});
+	});
+
+	it('changes a single token, based on its jti', function () {
+
+		var tokens = [];
+
+		return Promise.all([
+			Server.issue('devices', { scope: ['General.Access'], validity: '1 hour' }),
+			Server.issue('devices', { scope: ['General.Access'], validity: '1 hour' })
+		]).then(function (issued) {
+
+			tokens = issued;
+			return Server.request('get', '/me', tokens[0].token);
+		}).then(function () {
+
+			return status('devices', { status: 'suspended', jti: Server.claims(tokens[0].token).jti });
+		}).then(function (response) {
+
+			assert.strictEqual(response.status, 200);
+			return Promise.all([
+				Server.request('get', '/me', tokens[0].token),
+				Server.request('get', '/me', tokens[1].token)
+			]);
+		}).then(function (responses) {
+
+			assert.strictEqual(responses[0].status, 401);
+			assert.strictEqual(responses[1].status, 200);
+		});
+	});
+
+	it('reports unknown users & invalid statuses', function () {
+
+		return Promise.all([
+			status('nobody', { status: 'suspended' }),
+			status('nobody', { status: 'paused' })
+		]).then(function (responses) {
+
+			assert.strictEqual(responses[0].status, 404);
+			assert.strictEqual(responses[0].body.code, 106);
+			assert.strictEqual(responses[1].status, 400);
+			assert.strictEqual(responses[1].body.code, 105);
+		});
+	});
+});
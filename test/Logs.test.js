@@ -0,0 +1,154 @@
+/**
+ * Log searches: whitelisted filters, projection & keyset paging
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Log search', function () {
+
+	var admin;
+	var Database;
+
+	/**
+	 * Log rows of a test user, a second apart, some sharing a time
+	 *
+	 * @param  {String} user  User ID
+	 * @param  {Number} count Number of rows
+	 *
+	 * @return {Array}        Rows
+	 */
+	var rows = function (user, count) {
+
+		return Array.apply(null, Array(count)).map(function (value, index) {
+
+			return {
+				time:		'2020-01-01T00:00:' + String(10 + Math.floor(index / 2)) + '+00:00',
+				type:		'operation',
+				user:		user,
+				method:		'GET',
+				endpoint:	'/tokens/' + index,
+				payload:	{ index: index }
+			};
+		});
+	};
+
+	/**
+	 * Follow the next page cursors of a search
+	 *
+	 * @param  {String}   url     Search URL, with the query string
+	 * @param  {Function} between Called between pages, optional
+	 * @param  {Array}    found   Pages so far
+	 *
+	 * @return {Promise}          Resolves with the pages
+	 */
+	var pages = function (url, between, found) {
+
+		found = found || [];
+		return Server.request('get', url, admin)
+			.then(function (response) {
+
+				var cursor = response.headers['x-next-cursor'];
+
+				assert.strictEqual(response.status, 200);
+				found.push(response.body);
+				if (!cursor) {
+					return found;
+				}
+				assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+				return Promise.resolve(between && between())
+					.then(function () {
+
+						return pages(url.replace(/&cursor=.*$/, '') + '&cursor=' + cursor, between, found);
+					});
+			});
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Database = require(config.path + 'utilities/Database');
+				return Database.insert('logs', rows('pager', 9));
+			});
+	});
+
+	it('pages newest first, without repeating or skipping rows as rows are added', function () {
+
+		var added = 0;
+
+		return pages('/logs?user=pager&limit=2', function () {
+
+			added += 1;
+			return Database.insert('logs', [{ time: '2030-01-01T00:00:00+00:00', type: 'operation', user: 'pager', payload: { added: added } }]);
+		}).then(function (found) {
+
+			var indexes = [].concat.apply([], found).map(function (row) { return row.payload.index; });
+
+			assert.strictEqual(found.length, 5);
+			assert.deepStrictEqual(indexes.slice().sort(), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+			assert.ok(found.every(function (page) { return page.every(function (row) { return !row.hasOwnProperty('_id'); }); }));
+		});
+	});
+
+	it('counts every matching row', function () {
+
+		return Server.request('get', '/logs?user=pager&endpoint=/tokens/1&limit=1', admin)
+			.then(function (response) {
+
+				assert.strictEqual(response.headers['x-total-count'], '1');
+				assert.strictEqual(response.headers['x-next-cursor'], undefined);
+			});
+	});
+
+	it('returns the projected fields only, across pages', function () {
+
+		return pages('/logs?user=pager&endpoint[prefix]=/tokens/&fields=endpoint&limit=4')
+			.then(function (found) {
+
+				assert.strictEqual(found.length, 3);
+				found.forEach(function (page) {
+
+					page.forEach(function (row) {
+
+						assert.deepStrictEqual(Object.keys(row), ['endpoint']);
+					});
+				});
+			});
+	});
+
+	it('refuses invalid cursors', function () {
+
+		var foreign = Buffer.from(JSON.stringify({ user: 'x', _id: 'y' })).toString('base64url');
+
+		return Promise.all([
+			Server.request('get', '/logs?cursor=MTA=', admin),
+			Server.request('get', '/logs?cursor=' + foreign, admin)
+		]).then(function (responses) {
+
+			responses.forEach(function (response) {
+
+				assert.strictEqual(response.status, 400);
+				assert.strictEqual(response.body.code, 111);
+			});
+		});
+	});
+
+	it('refuses unknown fields & operators, keeping them out of database filters', function () {
+
+		return Promise.all([
+			Server.request('get', '/logs?user[$ne]=nobody', admin),
+			Server.request('get', '/logs?payload.index=1', admin),
+			Server.request('get', '/logs?time[regex]=.*', admin),
+			Server.request('get', '/logs?time[gte]=yesterday', admin)
+		]).then(function (responses) {
+
+			responses.forEach(function (response) {
+
+				assert.strictEqual(response.status, 400);
+				assert.strictEqual(response.body.code, 111);
+			});
+		});
+	});
+});
@@ -0,0 +1,173 @@
+/**
+ * In-memory storage adapter, through the Database facade
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Memory adapter', function () {
+
+	var Database;
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				Database = require(config.path + 'utilities/Database');
+				return Database.insert('users', [
+					{ name: 'ann', age: 31, tags: ['admin'], info: { city: 'Oslo' } },
+					{ name: 'bob', age: 25, tags: ['user'], info: { city: 'Bergen' } },
+					{ name: 'cid', age: 42, tags: ['user', 'admin'] }
+				]);
+			});
+	});
+
+	it('lists rows matching equality, dotted paths & array members', function () {
+
+		return Promise.all([
+			Database.list('users', { name: 'bob' }),
+			Database.list('users', { 'info.city': 'Oslo' }),
+			Database.list('users', { tags: 'admin' }, { name: 1 })
+		]).then(function (results) {
+
+			assert.deepStrictEqual(results[0].map(function (row) { return row.age; }), [25]);
+			assert.deepStrictEqual(results[1].map(function (row) { return row.name; }), ['ann']);
+			assert.deepStrictEqual(results[2].map(function (row) { return row.name; }), ['ann', 'cid']);
+		});
+	});
+
+	it('supports comparison, set, existence, regex & logical operators', function () {
+
+		var names = function (rows) {
+
+			return rows.map(function (row) { return row.name; });
+		};
+
+		return Promise.all([
+			Database.list('users', { age: { $gt: 25, $lte: 42 } }, { age: 1 }),
+			Database.list('users', { name: { $in: ['ann', 'cid'] } }, { name: 1 }),
+			Database.list('users', { name: { $nin: ['ann', 'cid'] } }),
+			Database.list('users', { name: { $ne: 'ann' } }, { name: 1 }),
+			Database.list('users', { info: { $exists: false } }),
+			Database.list('users', { name: { $regex: '^B', $options: 'i' } }),
+			Database.list('users', { $or: [{ age: { $lt: 30 } }, { name: 'cid' }] }, { name: 1 })
+		]).then(function (results) {
+
+			assert.deepStrictEqual(names(results[0]), ['ann', 'cid']);
+			assert.deepStrictEqual(names(results[1]), ['ann', 'cid']);
+			assert.deepStrictEqual(names(results[2]), ['bob']);
+			assert.deepStrictEqual(names(results[3]), ['bob', 'cid']);
+			assert.deepStrictEqual(names(results[4]), ['cid']);
+			assert.deepStrictEqual(names(results[5]), ['bob']);
+			assert.deepStrictEqual(names(results[6]), ['bob', 'cid']);
+		});
+	});
+
+	it('refuses unsupported operators', function () {
+
+		return Database.list('users', { age: { $mod: [2, 0] } })
+			.then(function () {
+
+				assert.fail('Unsupported operator accepted');
+			}, function (error) {
+
+				assert.match(error.message, /Unsupported query operator \$mod/);
+			});
+	});
+
+	it('sorts, pages & projects rows, without exposing IDs', function () {
+
+		return Database.list('users', {}, { age: -1 }, { skip: 1, limit: 1, projection: { name: 1 } })
+			.then(function (rows) {
+
+				assert.deepStrictEqual(rows, [{ name: 'ann' }]);
+			});
+	});
+
+	it('counts rows', function () {
+
+		return Database.count('users', { tags: 'user' })
+			.then(function (count) {
+
+				assert.strictEqual(count, 2);
+			});
+	});
+
+	it('upserts a row seeded from the filters, then updates it', function () {
+
+		return Database.upsert('settings', { value: 1 }, { key: 'theme' })
+			.then(function (row) {
+
+				assert.deepStrictEqual(row, { key: 'theme', value: 1 });
+				return Database.upsert('settings', { value: 2 }, { key: 'theme' });
+			})
+			.then(function () {
+
+				return Database.list('settings', {});
+			})
+			.then(function (rows) {
+
+				assert.deepStrictEqual(rows, [{ key: 'theme', value: 2 }]);
+			});
+	});
+
+	it('increments counters, creating the row when missing', function () {
+
+		return Database.increment('counters', { key: 'hits' }, { count: 1 })
+			.then(function () {
+
+				return Database.increment('counters', { key: 'hits' }, { count: 2 }, { last: 'now' });
+			})
+			.then(function (row) {
+
+				assert.deepStrictEqual(row, { key: 'hits', count: 3, last: 'now' });
+			});
+	});
+
+	it('updates matching rows, resolving with the number of rows matched', function () {
+
+		return Database.update('users', { tags: 'user' }, { active: true }, { logins: 1 })
+			.then(function (count) {
+
+				assert.strictEqual(count, 2);
+				return Database.list('users', { active: true }, { name: 1 });
+			})
+			.then(function (rows) {
+
+				assert.deepStrictEqual(rows.map(function (row) { return [row.name, row.logins]; }), [['bob', 1], ['cid', 1]]);
+			});
+	});
+
+	it('removes matching rows, resolving with the number of rows removed', function () {
+
+		return Database.remove('users', { age: { $gte: 40 } })
+			.then(function (count) {
+
+				assert.strictEqual(count, 1);
+				return Database.remove('users', { age: { $gte: 40 } });
+			})
+			.then(function (count) {
+
+				assert.strictEqual(count, 0);
+				return Database.count('users');
+			})
+			.then(function (count) {
+
+				assert.strictEqual(count, 2);
+			});
+	});
+
+	it('keeps stored rows apart from the rows handed out', function () {
+
+		return Database.list('users', { name: 'ann' })
+			.then(function (rows) {
+
+				rows[0].info.city = 'Paris';
+				return Database.list('users', { name: 'ann' });
+			})
+			.then(function (rows) {
+
+				assert.strictEqual(rows[0].info.city, 'Oslo');
+			});
+	});
+});
@@ -0,0 +1,67 @@
+/**
+ * OpenAPI document of the registered routes, served without a token
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('OpenAPI document', function () {
+
+	var document;
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				return Server.request('get', '/openapi.json');
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				document = response.body;
+			});
+	});
+
+	it('lists every route, with its path parameters', function () {
+
+		assert.strictEqual(document.openapi, '3.1.0');
+		assert.ok(document.paths['/tokens/{user}'].post);
+		assert.ok(document.paths['/tokens/{user}/{jti}']['delete']);
+		assert.deepStrictEqual(document.paths['/tokens/{user}/{jti}']['delete'].parameters.map(function (parameter) {
+
+			return [parameter.name, parameter['in']];
+		}), [['user', 'path'], ['jti', 'path']]);
+	});
+
+	it('lists the permissions of routes, including those of the authentication wall', function () {
+
+		assert.deepStrictEqual(document.paths['/tokens/{user}'].post.security, [{ token: ['General.Access', 'Tokens.Generate'] }]);
+		assert.deepStrictEqual(document.paths['/roles'].get.security, [{ token: ['General.Access', 'Roles.Manage'] }]);
+		assert.deepStrictEqual(document.paths['/healthz'].get.security, []);
+		assert.deepStrictEqual(document.paths['/openapi.json'].get.security, []);
+	});
+
+	it('lists declared request & response schemas', function () {
+
+		var operation = document.paths['/tokens/{user}'].post;
+
+		assert.deepStrictEqual(operation.requestBody.content['application/json'].schema.required, ['scope']);
+		assert.ok(operation.responses['201'].content['application/json'].schema.properties.refresh);
+		assert.deepStrictEqual(operation.responses['default'], { $ref: '#/components/responses/Error' });
+	});
+
+	it('lists the error codes', function () {
+
+		var Errors = require(config.path + 'utilities/Errors');
+		var codes = Object.keys(Errors).filter(function (name) {
+
+			return Errors[name] && typeof Errors[name].code === 'number';
+		}).map(function (name) {
+
+			return Errors[name].code;
+		});
+
+		assert.deepStrictEqual(document.components.schemas.Error.properties.code['enum'], codes);
+		assert.match(document.components.responses.Error.description, /112 \(429\) RateLimitError/);
+	});
+});
@@ -0,0 +1,116 @@
+/**
+ * Rate limiting: per route, per token (by scope) & repeated authentication failures
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Rate limiting', function () {
+
+	var RateLimiter;
+
+	/**
+	 * Run a middleware with a fake request & response
+	 *
+	 * @param  {Function} middleware Middleware function
+	 * @param  {Object}   request    Request fields
+	 *
+	 * @return {Promise}             Resolves with the error passed on (if any) & the response headers
+	 */
+	var run = function (middleware, request) {
+
+		return new Promise(function (resolve) {
+
+			var headers = {};
+			var response = {
+				set: function (name, value) {
+
+					if (typeof name === 'object') {
+						Object.assign(headers, name);
+					} else {
+						headers[name] = value;
+					}
+				}
+			};
+
+			middleware(Object.assign({ method: 'GET', path: '/limited' }, request), response, function (error) {
+
+				resolve({ error: error, headers: headers });
+			});
+		});
+	};
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				RateLimiter = require(config.path + 'utilities/RateLimiter');
+			});
+	});
+
+	it('limits routes per client, refusing requests over the limit with a Retry-After', function () {
+
+		var middleware;
+		var request = { ip: '192.0.2.1' };
+
+		config.limits.routes['get /limited'] = { requests: 2 };
+		middleware = RateLimiter.route({ method: 'get', url: '/limited' })[0];
+		delete config.limits.routes['get /limited'];
+
+		return run(middleware, request)
+			.then(function (result) {
+
+				assert.strictEqual(result.error, undefined);
+				assert.strictEqual(result.headers['X-RateLimit-Limit'], '2');
+				assert.strictEqual(result.headers['X-RateLimit-Remaining'], '1');
+				return run(middleware, request);
+			})
+			.then(function (result) {
+
+				assert.strictEqual(result.error, undefined);
+				return Promise.all([run(middleware, request), run(middleware, { ip: '192.0.2.2' })]);
+			})
+			.then(function (results) {
+
+				assert.deepStrictEqual(results[0].error, { name: 'RateLimitError' });
+				assert.strictEqual(results[0].headers['X-RateLimit-Remaining'], '0');
+				assert.ok(Number(results[0].headers['Retry-After']) >= 1);
+				assert.strictEqual(results[1].error, undefined);
+			});
+	});
+
+	it('grants tokens the highest limit of the scopes they cover', function () {
+
+		return Promise.all([
+			run(RateLimiter.token, { ip: '192.0.2.3', token: { jti: 'limited-general' }, scope: ['General.Access'] }),
+			run(RateLimiter.token, { ip: '192.0.2.3', token: { jti: 'limited-generate' }, scope: ['Tokens.Generate'] })
+		])
+			.then(function (results) {
+
+				assert.strictEqual(results[0].headers['X-RateLimit-Limit'], String(config.limits.token));
+				assert.strictEqual(results[1].headers['X-RateLimit-Limit'], String(config.limits.scopes['Tokens.Generate']));
+			});
+	});
+
+	it('refuses IPs with too many authentication failures', function () {
+
+		var failures = config.limits.authentication.failures;
+
+		config.limits.authentication.failures = 1;
+		return Server.request('get', '/me', 'not a token')
+			.then(function () {
+
+				return Server.request('post', '/tokens/refresh', null, { refresh: 'unknown' });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 429);
+				assert.strictEqual(response.body.code, 112);
+				assert.ok(Number(response.headers['retry-after']) >= 1);
+			})
+			.finally(function () {
+
+				config.limits.authentication.failures = failures;
+			});
+	});
+});
@@ -0,0 +1,85 @@
+/**
+ * Redaction: tokens logged as fingerprints, sensitive fields masked, large payloads truncated
+ */
+var assert = require('assert');
+var crypto = require('crypto');
+var Server = require('./support/Server');
+
+describe('Redaction', function () {
+
+	var admin;
+	var Redact;
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Redact = require(config.path + 'utilities/Redact');
+			});
+	});
+
+	it('masks sensitive fields at any depth, & dotted paths from the root', function () {
+
+		var paths = config.logs.redact.paths;
+
+		config.logs.redact.paths = paths.concat(['credentials.*.key']);
+		try {
+			assert.deepStrictEqual(Redact.payload({
+				user:			'someone',
+				password:		'hunter2',
+				nested:			[{ Secret: 's' }],
+				credentials:	{ primary: { key: 'k', name: 'n' } },
+				key:			'kept'
+			}), {
+				user:			'someone',
+				password:		'[REDACTED]',
+				nested:			[{ Secret: '[REDACTED]' }],
+				credentials:	{ primary: { key: '[REDACTED]', name: 'n' } },
+				key:			'kept'
+			});
+		} finally {
+			config.logs.redact.paths = paths;
+		}
+	});
+
+	it('truncates large payloads', function () {
+
+		var payload = Redact.payload({ text: new Array(config.logs.redact.length + 1).join('x') });
+
+		assert.strictEqual(payload.truncated, true);
+		assert.strictEqual(payload.size, config.logs.redact.length + '{"text":""}'.length);
+		assert.strictEqual(payload.preview.length, config.logs.redact.length);
+	});
+
+	it('never returns raw tokens in the logs', function () {
+
+		var tokens;
+
+		return Server.issue('redacted', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('get', '/me', tokens.token, null, { 'X-Request-Id': 'redacted-0001' });
+			})
+			.then(function () {
+
+				return require(config.path + 'utilities/Console').flush();
+			})
+			.then(function () {
+
+				return Server.request('get', '/logs?requestId=redacted-0001', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.body.length, 1);
+				assert.deepStrictEqual(response.body[0].token, {
+					fingerprint:	crypto.createHash('sha256').update(tokens.token).digest('hex').slice(0, 16),
+					jti:			Server.claims(tokens.token).jti
+				});
+				assert.ok(JSON.stringify(response.body).indexOf(tokens.token) === -1);
+			});
+	});
+});
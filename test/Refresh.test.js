@@ -0,0 +1,192 @@
+/**
+ * Refresh token rotation: every refresh replaces the token pair of a
+ * family, & a refresh token used twice revokes the whole family
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Refresh token rotation', function () {
+
+	/**
+	 * Refresh a token pair
+	 *
+	 * @param  {String} refresh Refresh token
+	 *
+	 * @return {Promise}        Resolves with the response
+	 */
+	var refresh = function (refresh) {
+
+		return Server.request('post', '/tokens/refresh', null, { refresh: refresh });
+	};
+
+	it('replaces the token pair, refusing the previous access token', function () {
+
+		var first;
+		var second;
+
+		return Server.issue('rotating', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				first = tokens;
+				return refresh(first.refresh);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 201);
+				second = response.body;
+				assert.notStrictEqual(second.token, first.token);
+				assert.notStrictEqual(second.refresh, first.refresh);
+				return Promise.all([
+					Server.request('get', '/me', first.token),
+					Server.request('get', '/me', second.token)
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].status, 401);
+				assert.strictEqual(responses[1].status, 200);
+				assert.deepStrictEqual(responses[1].body.scope, ['General.Access']);
+			});
+	});
+
+	it('revokes the family when a used refresh token is replayed', function () {
+
+		var first;
+		var second;
+
+		return Server.issue('replayed', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				first = tokens;
+				return refresh(first.refresh);
+			})
+			.then(function (response) {
+
+				second = response.body;
+				return refresh(first.refresh);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				assert.strictEqual(response.body.code, 109);
+				return Promise.all([
+					Server.request('get', '/me', second.token),
+					refresh(second.refresh)
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].status, 401);
+				assert.strictEqual(responses[1].status, 401);
+			});
+	});
+
+	it('rotates a refresh token once when it is presented concurrently', function () {
+
+		return Server.issue('concurrent', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				return Promise.all([refresh(tokens.refresh), refresh(tokens.refresh), refresh(tokens.refresh)]);
+			})
+			.then(function (responses) {
+
+				var statuses = responses.map(function (response) { return response.status; }).sort();
+
+				assert.deepStrictEqual(statuses, [201, 401, 401]);
+				return Server.request('get', '/me', responses.filter(function (response) { return response.status === 201; })[0].body.token);
+			})
+			.then(function (response) {
+
+				// The replays revoked the family, the rotated token included
+				assert.strictEqual(response.status, 401);
+			});
+	});
+
+	it('shows the family of tokens, for revoking it', function () {
+
+		var tokens;
+		var admin;
+
+		return Server.issue('family', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				assert.strictEqual(typeof tokens.family, 'string');
+				return refresh(tokens.refresh);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.body.family, tokens.family);
+				tokens = response.body;
+				return Server.admin();
+			})
+			.then(function (token) {
+
+				admin = token;
+				return Promise.all([
+					Server.request('get', '/tokens/family', admin),
+					Server.request('post', '/tokens/introspect', admin, { token: tokens.token }),
+					Server.request('post', '/tokens/introspect', admin, { token: tokens.refresh })
+				]);
+			})
+			.then(function (responses) {
+
+				assert.deepStrictEqual(responses[0].body.map(function (token) { return token.family; }), [tokens.family]);
+				assert.strictEqual(responses[1].body.family, tokens.family);
+				assert.strictEqual(responses[2].body.family, tokens.family);
+				return Server.request('delete', '/families/' + tokens.family, admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return Promise.all([
+					Server.request('get', '/me', tokens.token),
+					refresh(tokens.refresh)
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].status, 401);
+				assert.strictEqual(responses[1].status, 401);
+			});
+	});
+
+	it('refuses unknown & malformed refresh tokens', function () {
+
+		return Promise.all([
+			refresh('0123456789abcdef0123456789abcdef'),
+			Server.request('post', '/tokens/refresh', null, {})
+		]).then(function (responses) {
+
+			assert.strictEqual(responses[0].status, 401);
+			assert.strictEqual(responses[0].body.code, 108);
+			assert.strictEqual(responses[1].status, 400);
+			assert.strictEqual(responses[1].body.code, 105);
+		});
+	});
+
+	it('refuses to refresh revoked tokens', function () {
+
+		var tokens;
+
+		return Server.issue('revokedrefresh', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.admin();
+			})
+			.then(function (admin) {
+
+				return Server.request('delete', '/tokens/revokedrefresh', admin);
+			})
+			.then(function () {
+
+				return refresh(tokens.refresh);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				assert.strictEqual(response.body.code, 108);
+			});
+	});
+});
@@ -0,0 +1,169 @@
+/**
+ * Retention: expired log entries & revoked tokens archived to gzip'd
+ * NDJSON files, then removed
+ */
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var Server = require('./support/Server');
+
+describe('Retention', function () {
+
+	var admin;
+	var Database;
+	var directory;
+	var archive;
+
+	/**
+	 * Read the rows of the archive files of a type
+	 *
+	 * @param  {String} type Archive type, e.g. request
+	 *
+	 * @return {Array}       Rows, by file
+	 */
+	var archived = function (type) {
+
+		return fs.readdirSync(directory)
+			.filter(function (file) { return file.indexOf('logs-' + type + '-') === 0; })
+			.map(function (file) {
+
+				return zlib.gunzipSync(fs.readFileSync(path.join(directory, file))).toString()
+					.split('\n')
+					.filter(Boolean)
+					.map(JSON.parse);
+			});
+	};
+
+	/**
+	 * Expired request log entries
+	 *
+	 * @param  {String} user  User ID
+	 * @param  {Number} count Number of entries
+	 *
+	 * @return {Array}        Log entries
+	 */
+	var expired = function (user, count) {
+
+		return Array.apply(null, Array(count)).map(function (value, index) {
+
+			return { time: '2001-01-01T00:00:00+00:00', type: 'request', user: user, payload: { index: index } };
+		});
+	};
+
+	/**
+	 * Run a sweep
+	 *
+	 * @return {Promise} Resolves with the sweep outcome
+	 */
+	var sweep = function () {
+
+		return Server.request('post', '/retention', admin)
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.body.error, null);
+				return response.body;
+			});
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Database = require(config.path + 'utilities/Database');
+				directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hydra-archive-'));
+				archive = config.logs.archive;
+				config.logs.archive = directory;
+			});
+	});
+
+	after(function () {
+
+		config.logs.archive = archive;
+		fs.rmSync(directory, {recursive: true, force: true});
+	});
+
+	it('archives & removes expired log entries, keeping current ones', function () {
+
+		return Database.insert('logs', expired('expired', 3).concat({ time: new Date().toISOString(), type: 'request', user: 'expired' }))
+			.then(sweep)
+			.then(function (outcome) {
+
+				var request = outcome.results.filter(function (result) { return result.type === 'request'; })[0];
+
+				assert.strictEqual(request.archived, 3);
+				assert.strictEqual(path.dirname(request.file), directory);
+				assert.deepStrictEqual(archived('request')[0].map(function (row) { return row.payload.index; }).sort(), [0, 1, 2]);
+				return Database.list('logs', { user: 'expired' });
+			})
+			.then(function (rows) {
+
+				assert.strictEqual(rows.length, 1);
+			});
+	});
+
+	it('writes every sweep to a file of its own, even within a second', function () {
+
+		return Database.insert('logs', expired('first', 2))
+			.then(sweep)
+			.then(function () {
+
+				return Database.insert('logs', expired('second', 2));
+			})
+			.then(sweep)
+			.then(function () {
+
+				var users = archived('request').map(function (rows) {
+
+					return rows.map(function (row) { return row.user; }).join();
+				}).sort();
+
+				assert.deepStrictEqual(users, ['expired,expired,expired', 'first,first', 'second,second']);
+			});
+	});
+
+	it('archives & removes tokens revoked longer than the token retention ago', function () {
+
+		return Database.insert('tokens', [
+			{ jti: 'retained', user: 'retention', status: 'revoked', changed: '2001-01-01T00:00:00+00:00' },
+			{ jti: 'kept', user: 'retention', status: 'revoked', changed: new Date().toISOString() }
+		])
+			.then(sweep)
+			.then(function (outcome) {
+
+				assert.strictEqual(outcome.results.filter(function (result) { return result.collection === 'tokens'; })[0].archived, 1);
+				return Database.list('tokens', { user: 'retention' });
+			})
+			.then(function (rows) {
+
+				assert.deepStrictEqual(rows.map(function (row) { return row.jti; }), ['kept']);
+			});
+	});
+
+	it('removes nothing when the archive can\'t be written', function () {
+
+		var file = path.join(directory, 'file');
+
+		fs.writeFileSync(file, '');
+		config.logs.archive = path.join(file, 'archive');
+		return Database.insert('logs', expired('unarchived', 2))
+			.then(function () {
+
+				return Server.request('post', '/retention', admin);
+			})
+			.then(function (response) {
+
+				config.logs.archive = directory;
+				assert.notStrictEqual(response.body.error, null);
+				return Database.count('logs', { user: 'unarchived' });
+			})
+			.then(function (count) {
+
+				assert.strictEqual(count, 2);
+			});
+	});
+});
@@ -0,0 +1,130 @@
+/**
+ * Roles: named scope sets, granted to tokens in addition to their own scope
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Roles', function () {
+
+	var admin;
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+			});
+	});
+
+	it('saves, shows & lists roles', function () {
+
+		return Server.request('put', '/roles/auditor', admin, { scope: ['Tokens.List', 'Tokens.List'], description: 'Reads tokens' })
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.deepStrictEqual(response.body.scope, ['Tokens.List']);
+				assert.strictEqual(response.body.authority, 'admin');
+				return Server.request('get', '/roles/auditor', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.body.description, 'Reads tokens');
+				return Server.request('get', '/roles', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.ok(response.body.some(function (role) { return role.name === 'auditor'; }));
+			});
+	});
+
+	it('adds the scope of granted roles to the effective scope of tokens', function () {
+
+		return Server.request('put', '/roles/reader', admin, { scope: ['General.Logs'] })
+			.then(function () {
+
+				return Server.issue('roleholder', { scope: ['General.Access'], roles: ['reader'], validity: '1 hour' });
+			})
+			.then(function (tokens) {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.deepStrictEqual(response.body.roles, ['reader']);
+				assert.deepStrictEqual(response.body.scope.slice().sort(), ['General.Access', 'General.Logs']);
+			});
+	});
+
+	it('refuses roles granting more than the scope of the caller', function () {
+
+		return Promise.all([
+			Server.request('put', '/roles/root', admin, { scope: ['*'] }),
+			Server.request('put', '/roles/tokens', admin, { scope: ['Tokens.*'] })
+		]).then(function (responses) {
+
+			responses.forEach(function (response) {
+
+				assert.strictEqual(response.status, 403);
+				assert.strictEqual(response.body.code, 110);
+			});
+			return Server.request('get', '/roles/root', admin);
+		}).then(function (response) {
+
+			assert.strictEqual(response.status, 404);
+		});
+	});
+
+	it('validates role names & definitions', function () {
+
+		return Promise.all([
+			Server.request('put', '/roles/bad%20name', admin, { scope: ['General.Access'] }),
+			Server.request('put', '/roles/empty', admin, { description: 'No scope' }),
+			Server.request('put', '/roles/typed', admin, { scope: 'General.Access' })
+		]).then(function (responses) {
+
+			responses.forEach(function (response) {
+
+				assert.strictEqual(response.status, 400);
+				assert.strictEqual(response.body.code, 105);
+				assert.ok(response.body.details.length > 0);
+			});
+		});
+	});
+
+	it('removes roles, once', function () {
+
+		return Server.request('put', '/roles/temporary', admin, { scope: ['General.Access'] })
+			.then(function () {
+
+				return Server.request('delete', '/roles/temporary', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return Server.request('delete', '/roles/temporary', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 409);
+				assert.strictEqual(response.body.code, 107);
+			});
+	});
+
+	it('refuses role management to tokens without the Roles.Manage scope', function () {
+
+		return Server.issue('norole', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				return Server.request('put', '/roles/mine', tokens.token, { scope: ['General.Access'] });
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				assert.strictEqual(response.body.code, 102);
+			});
+	});
+});
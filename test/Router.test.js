@@ -0,0 +1,84 @@
+/**
+ * Controller discovery: ordering, URL prefixes & versions, conflicting routes
+ */
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Server = require('./support/Server');
+
+describe('Controller discovery', function () {
+
+	var directory;
+	var Router;
+
+	/**
+	 * Write a controller module
+	 *
+	 * @param  {String} file       File name
+	 * @param  {Object} controller Exported fields, routes without actions
+	 *
+	 * @return {void}
+	 */
+	var controller = function (file, controller) {
+
+		fs.writeFileSync(path.join(directory, file), 'module.exports = ' + JSON.stringify(controller) + ';\n');
+	};
+
+	before(function () {
+
+		return Server.start()
+			.then(function () {
+
+				var file = require.resolve(config.path + 'utilities/Router');
+				var registered = require.cache[file];
+
+				// A separate registry, leaving the application routes alone
+				delete require.cache[file];
+				Router = require(file);
+				require.cache[file] = registered;
+
+				directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hydra-controllers-'));
+				controller('Reports.js', { order: 200, prefix: '/reports', version: 1, routes: [{ url: '/items', method: 'get' }] });
+				controller('Accounts.js', { routes: [{ url: '/accounts', method: 'get' }, { url: '/accounts', method: 'all' }] });
+				controller('Helpers.js', { format: 'json' });
+				fs.writeFileSync(path.join(directory, 'README.md'), '# Not a controller\n');
+			});
+	});
+
+	after(function () {
+
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it('registers the routes of every controller, by order, prefix & version, warning about conflicts', function () {
+
+		var Console = require(config.path + 'utilities/Console');
+		var warn = Console.warn;
+		var warnings = [];
+		var routes;
+
+		Console.warn = function () {
+
+			warnings.push(Array.prototype.join.call(arguments, ' '));
+		};
+		try {
+			routes = Router.discover(directory);
+		} finally {
+			Console.warn = warn;
+		}
+
+		assert.deepStrictEqual(routes.map(function (route) {
+
+			return [route.controller, route.method, route.url];
+		}), [
+			['Accounts', 'get', '/accounts'],
+			['Accounts', 'all', '/accounts'],
+			['Reports', 'get', '/v1/reports/items']
+		]);
+		assert.deepStrictEqual(Router.routes(), routes);
+		assert.deepStrictEqual(warnings, [
+			'Route conflict: all /accounts of Accounts is already handled by get /accounts of Accounts'
+		]);
+	});
+});
@@ -0,0 +1,162 @@
+/**
+ * Startup & shutdown of the application process: database connection retries,
+ * failed starts exiting non-zero, graceful shutdown on SIGTERM
+ */
+var assert = require('assert');
+var http = require('http');
+var path = require('path');
+var childProcess = require('child_process');
+
+describe('Startup & shutdown', function () {
+
+	var children = [];
+
+	/**
+	 * Start the application in a child process
+	 *
+	 * @param  {Object} variables Extra environment variables
+	 *
+	 * @return {Object}           Child process, with its output collected in 'output'
+	 */
+	var start = function (variables) {
+
+		var child = childProcess.spawn(process.execPath, [path.resolve(__dirname, '../app.js')], {
+			env: Object.assign({}, process.env, { NODE_ENV: 'test', HYDRA_CONSOLE__LEVEL: 'info' }, variables)
+		});
+
+		children.push(child);
+		child.output = '';
+		child.stdout.on('data', function (data) {
+
+			child.output += data;
+		});
+		child.stderr.on('data', function (data) {
+
+			child.output += data;
+		});
+		return child;
+	};
+
+	/**
+	 * Wait for a child process to exit
+	 *
+	 * @param  {Object} child Child process
+	 *
+	 * @return {Promise}      Resolves with the exit code
+	 */
+	var exit = function (child) {
+
+		return new Promise(function (resolve) {
+
+			child.on('exit', resolve);
+		});
+	};
+
+	/**
+	 * Wait for a child process to report a successful start
+	 *
+	 * @param  {Object} child Child process
+	 *
+	 * @return {Promise}
+	 */
+	var started = function (child) {
+
+		return new Promise(function (resolve) {
+
+			var check = function () {
+
+				if (/Application started/.test(child.output)) {
+					child.stdout.removeListener('data', check);
+					resolve();
+				}
+			};
+
+			child.stdout.on('data', check);
+		});
+	};
+
+	/**
+	 * Wait for the liveness probe of a child process to answer
+	 *
+	 * @param  {Number} port     Application port
+	 * @param  {Number} attempts Attempts left
+	 *
+	 * @return {Promise}
+	 */
+	var ready = function (port, attempts) {
+
+		return new Promise(function (resolve, reject) {
+
+			http.get({ host: '127.0.0.1', port: port, path: '/healthz' }, function (response) {
+
+				response.resume();
+				resolve(response.statusCode);
+			}).on('error', reject);
+		})
+			.catch(function (error) {
+
+				if (attempts <= 1) {
+					throw error;
+				}
+				return new Promise(function (resolve) {
+
+					setTimeout(resolve, 100);
+				}).then(ready.bind(null, port, attempts - 1));
+			});
+	};
+
+	// Don't leave a process behind when a test fails
+	afterEach(function () {
+
+		children.forEach(function (child) {
+
+			if (child.exitCode === null && child.signalCode === null) {
+				child.kill('SIGKILL');
+			}
+		});
+		children = [];
+	});
+
+	it('retries the database connection, then exits non-zero with the reason', function () {
+
+		var child = start({
+			HYDRA_DATABASE__ADAPTER: 'mongo',
+			HYDRA_DATABASE__URL: 'mongodb://127.0.0.1:1/hydra',
+			HYDRA_DATABASE__RETRY__ATTEMPTS: '2',
+			HYDRA_DATABASE__RETRY__DELAY: '10 milliseconds'
+		});
+
+		return exit(child)
+			.then(function (code) {
+
+				assert.strictEqual(code, 1);
+				assert.match(child.output, /Database connection failed \(attempt 1 of 2\)/);
+				assert.match(child.output, /Startup failed: Database connection failed after 2 attempts/);
+				assert.doesNotMatch(child.output, /Application started/);
+			});
+	});
+
+	it('stops accepting connections & exits cleanly on SIGTERM', function () {
+
+		var child = start({ HYDRA_PORT: '10042', HYDRA_METRICS__PORT: '10043' });
+
+		return started(child)
+			.then(ready.bind(null, 10042, 1))
+			.then(function (status) {
+
+				assert.strictEqual(status, 200);
+				child.kill('SIGTERM');
+				return exit(child);
+			})
+			.then(function (code) {
+
+				assert.strictEqual(code, 0);
+				assert.match(child.output, /Received SIGTERM, shutting down/);
+				assert.match(child.output, /Connections drained/);
+				return ready(10042, 1).then(assert.fail, function (error) {
+
+					assert.strictEqual(error.code, 'ECONNREFUSED');
+				});
+			});
+	});
+});
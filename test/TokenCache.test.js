@@ -0,0 +1,162 @@
+/**
+ * Token record & role caches: changes evicted at once on this instance,
+ * & through the revocations collection on the others
+ */
+var assert = require('assert');
+var moment = require('moment');
+var Server = require('./support/Server');
+
+describe('Token & role caches', function () {
+
+	var admin;
+	var Database;
+
+	/**
+	 * Record a change made by another instance
+	 *
+	 * @param  {Object} filters Filters of the changed records
+	 *
+	 * @return {Promise}
+	 */
+	var revoke = function (filters) {
+
+		return Database.insert('revocations', [{
+			time:		moment().format(),
+			instance:	'other',
+			filters:	JSON.stringify(filters)
+		}]);
+	};
+
+	/**
+	 * Wait for the next poll of the revocations
+	 *
+	 * @return {Promise}
+	 */
+	var poll = function () {
+
+		return new Promise(function (resolve) {
+
+			setTimeout(resolve, 1200);
+		});
+	};
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Database = require(config.path + 'utilities/Database');
+			});
+	});
+
+	it('spares database reads of known tokens, evicting them when revoked by another instance', function () {
+
+		var tokens;
+
+		return Server.issue('cached', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function () {
+
+				return Database.update('tokens', { user: 'cached' }, { status: 'revoked' });
+			})
+			.then(function () {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return revoke({ user: { $in: ['cached'] } });
+			})
+			.then(poll)
+			.then(function () {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+			});
+	});
+
+	it('applies role changes at once on this instance', function () {
+
+		var tokens;
+
+		return Server.request('put', '/roles/changing', admin, { scope: ['General.Logs'] })
+			.then(function () {
+
+				return Server.issue('rolecache', { scope: ['General.Access'], roles: ['changing'], validity: '1 hour' });
+			})
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.ok(response.body.scope.indexOf('General.Logs') !== -1);
+				return Server.request('put', '/roles/changing', admin, { scope: ['Tokens.List'] });
+			})
+			.then(function () {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.deepStrictEqual(response.body.scope.slice().sort(), ['General.Access', 'Tokens.List']);
+				return Server.request('delete', '/roles/changing', admin);
+			})
+			.then(function () {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.deepStrictEqual(response.body.scope, ['General.Access']);
+			});
+	});
+
+	it('caches role definitions, evicting roles changed by another instance', function () {
+
+		var tokens;
+
+		return Server.request('put', '/roles/remote', admin, { scope: ['General.Logs'] })
+			.then(function () {
+
+				return Server.issue('remoterole', { scope: ['General.Access'], roles: ['remote'], validity: '1 hour' });
+			})
+			.then(function (issued) {
+
+				tokens = issued;
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function () {
+
+				return Database.update('roles', { name: 'remote' }, { scope: ['Tokens.List'] });
+			})
+			.then(function () {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.deepStrictEqual(response.body.scope.slice().sort(), ['General.Access', 'General.Logs']);
+				return revoke({ role: 'remote' });
+			})
+			.then(poll)
+			.then(function () {
+
+				return Server.request('get', '/me', tokens.token);
+			})
+			.then(function (response) {
+
+				assert.deepStrictEqual(response.body.scope.slice().sort(), ['General.Access', 'Tokens.List']);
+			});
+	});
+});
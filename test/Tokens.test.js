@@ -0,0 +1,123 @@
+/**
+ * Token records: one per jti, several per user, confirming tokens by jti
+ * & granting what the record (not the token claims) grants
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Token records', function () {
+
+	var admin;
+	var Keys;
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Keys = require(config.path + 'utilities/Keys');
+			});
+	});
+
+	it('keeps several tokens of a user valid at once', function () {
+
+		var settings = { scope: ['General.Access'], validity: '1 hour' };
+		var tokens;
+
+		return Promise.all([
+			Server.issue('multi', settings),
+			Server.issue('multi', settings)
+		]).then(function (issued) {
+
+			tokens = issued;
+			return Promise.all([
+				Server.request('get', '/me', tokens[0].token),
+				Server.request('get', '/me', tokens[1].token),
+				Server.request('get', '/tokens/multi', admin)
+			]);
+		}).then(function (responses) {
+
+			assert.strictEqual(responses[0].status, 200);
+			assert.strictEqual(responses[1].status, 200);
+			assert.strictEqual(responses[2].body.length, 2);
+			return Server.request('delete', '/tokens/multi/' + Server.claims(tokens[0].token).jti, admin);
+		}).then(function (response) {
+
+			assert.strictEqual(response.status, 200);
+			return Promise.all([
+				Server.request('get', '/me', tokens[0].token),
+				Server.request('get', '/me', tokens[1].token)
+			]);
+		}).then(function (responses) {
+
+			assert.strictEqual(responses[0].status, 401);
+			assert.strictEqual(responses[1].status, 200);
+		});
+	});
+
+	it('refuses tokens without a jti claim, whatever records their user has', function () {
+
+		return Server.issue('legacy', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function () {
+
+				var token = Keys.sign({ id: 'legacy', scope: ['General.Access'], roles: [] }, { expiresIn: '1 hour' });
+
+				return Server.request('get', '/me', token);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 401);
+				assert.strictEqual(response.body.code, 104);
+			});
+	});
+
+	it('grants the scope & roles of the token record, not of the token claims', function () {
+
+		return Server.issue('claims', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				var token = Keys.sign({ id: 'claims', scope: ['General.Access', 'General.Logs'], roles: ['admin'] }, {
+					expiresIn: '1 hour',
+					jwtid: Server.claims(tokens.token).jti
+				});
+
+				return Promise.all([
+					Server.request('get', '/me', token),
+					Server.request('get', '/logs', token)
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].status, 200);
+				assert.deepStrictEqual(responses[0].body.scope, ['General.Access']);
+				assert.deepStrictEqual(responses[0].body.roles, []);
+				assert.strictEqual(responses[1].status, 401);
+				assert.strictEqual(responses[1].body.code, 102);
+			});
+	});
+
+	it('records a device label, refusing labels over 200 characters', function () {
+
+		return Server.issue('device', { scope: ['General.Access'], validity: '1 hour', device: 'Laptop' })
+			.then(function () {
+
+				return Promise.all([
+					Server.request('get', '/tokens/device', admin),
+					Server.request('post', '/tokens/device', admin, {
+						scope: ['General.Access'],
+						device: new Array(202).join('x')
+					})
+				]);
+			})
+			.then(function (responses) {
+
+				assert.deepStrictEqual(responses[0].body.map(function (token) {
+
+					return token.device;
+				}), ['Laptop']);
+				assert.strictEqual(responses[1].status, 400);
+				assert.strictEqual(responses[1].body.code, 105);
+			});
+	});
+});
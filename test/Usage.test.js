@@ -0,0 +1,115 @@
+/**
+ * Token usage: last use, last IP & use count, written in batches,
+ * and idle tokens found & revoked by the number of days without use
+ */
+var assert = require('assert');
+var moment = require('moment');
+var Server = require('./support/Server');
+
+describe('Token usage', function () {
+
+	var admin;
+	var Database;
+	var TokenUsage;
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+				Database = require(config.path + 'utilities/Database');
+				TokenUsage = require(config.path + 'utilities/TokenUsage');
+			});
+	});
+
+	it('counts uses in batches, showing pending uses in the token list', function () {
+
+		var jti;
+
+		return Server.issue('used', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				jti = Server.claims(tokens.token).jti;
+				return Server.request('get', '/me', tokens.token)
+					.then(Server.request.bind(Server, 'get', '/me', tokens.token));
+			})
+			.then(function () {
+
+				return Promise.all([
+					Server.request('get', '/tokens/used', admin),
+					Database.list('tokens', { jti: jti })
+				]);
+			})
+			.then(function (results) {
+
+				assert.strictEqual(results[0].body[0].uses, 2);
+				assert.strictEqual(results[0].body[0].lastIp, '127.0.0.1');
+				assert.ok(moment(results[0].body[0].lastUsed).isValid());
+				assert.strictEqual(results[1][0].uses, undefined);
+				return TokenUsage.flush();
+			})
+			.then(function () {
+
+				return Database.list('tokens', { jti: jti });
+			})
+			.then(function (records) {
+
+				assert.strictEqual(records[0].uses, 2);
+				assert.strictEqual(records[0].lastIp, '127.0.0.1');
+			});
+	});
+
+	it('finds & revokes tokens idle for more than a number of days', function () {
+
+		var idle;
+		var active;
+		var old = moment().subtract(40, 'days').format();
+
+		return Promise.all([
+			Server.issue('idle', { scope: ['General.Access'], validity: '1 year' }),
+			Server.issue('idle', { scope: ['General.Access'], validity: '1 year' })
+		])
+			.then(function (pairs) {
+
+				idle = pairs[0];
+				active = pairs[1];
+				return Promise.all([
+					Database.update('tokens', { jti: Server.claims(idle.token).jti }, { time: old, lastUsed: old }),
+					Database.update('tokens', { jti: Server.claims(active.token).jti }, { time: old })
+				]);
+			})
+			.then(function () {
+
+				return Server.request('get', '/me', active.token);
+			})
+			.then(function () {
+
+				return Server.request('get', '/tokens/idle?days=30', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				assert.deepStrictEqual(response.body.map(function (token) {
+
+					return token.jti;
+				}), [Server.claims(idle.token).jti]);
+				return Server.request('delete', '/tokens/idle?days=30', admin);
+			})
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 200);
+				return Promise.all([
+					Server.request('get', '/me', idle.token),
+					Server.request('get', '/me', active.token),
+					Server.request('get', '/tokens/idle?days=0', admin)
+				]);
+			})
+			.then(function (responses) {
+
+				assert.strictEqual(responses[0].status, 401);
+				assert.strictEqual(responses[1].status, 200);
+				assert.strictEqual(responses[2].status, 400);
+			});
+	});
+});
@@ -0,0 +1,57 @@
+/**
+ * Request validation against the route schemas, after the permission guards
+ */
+var assert = require('assert');
+var Server = require('./support/Server');
+
+describe('Request validation', function () {
+
+	var admin;
+
+	before(function () {
+
+		return Server.admin()
+			.then(function (token) {
+
+				admin = token;
+			});
+	});
+
+	it('refuses invalid bodies, listing the failed fields', function () {
+
+		return Server.request('post', '/tokens/invalid', admin, { scope: 'General.Access', validity: 'soon' })
+			.then(function (response) {
+
+				assert.strictEqual(response.status, 400);
+				assert.strictEqual(response.body.code, 105);
+				assert.ok(/scope/.test(JSON.stringify(response.body)));
+				assert.ok(/validity/.test(JSON.stringify(response.body)));
+			});
+	});
+
+	it('refuses callers without the permissions before validating their requests', function () {
+
+		return Server.issue('unprivileged', { scope: ['General.Access'], validity: '1 hour' })
+			.then(function (tokens) {
+
+				return Promise.all([
+					Server.request('post', '/tokens/other', tokens.token, { scope: 'General.Access' }),
+					Server.request('put', '/roles/other', tokens.token, {}),
+					Server.request('post', '/tokens/other', null, {})
+				]);
+			})
+			.then(function (responses) {
+
+				// Callers without a token are refused before any validation too
+				responses.forEach(function (response) {
+
+					assert.ok(!/scope/.test(JSON.stringify(response.body)));
+				});
+				assert.strictEqual(responses[0].status, 401);
+				assert.strictEqual(responses[0].body.code, 102);
+				assert.strictEqual(responses[1].status, 401);
+				assert.strictEqual(responses[1].body.code, 102);
+				assert.deepStrictEqual(Object.keys(responses[2].body), ['code', 'message']);
+			});
+	});
+});
@@ -0,0 +1,205 @@
+/**
+ * Test server: the application started once per test run, in the test
+ * environment (in-memory storage, see config/test.js), & an HTTP client for it
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Server start, requests & admin credential
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Application start, once ready
+		 *
+		 * @type {Promise}
+		 */
+		started: null,
+
+		/**
+		 * Admin access token
+		 *
+		 * @type {Promise}
+		 */
+		admin: null,
+
+		/**
+		 * Wait until the application answers its liveness probe
+		 *
+		 * @param  {Number} attempts Attempts left
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		ready: function (attempts) {
+
+			return api.request('get', '/healthz')
+				.catch(function (error) {
+
+					if (attempts <= 1) {
+						throw error;
+					}
+					return libs.Promise.delay(100)
+						.then(internals.ready.bind(this, attempts - 1));
+				});
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Start the application, once. Command line arguments of the test
+		 * runner are dropped, so they aren't taken for a CLI command
+		 *
+		 * @return {Promise} Resolves when the application is ready
+		 *
+		 * @public
+		 */
+		start: function () {
+
+			if (!internals.started) {
+				process.env.NODE_ENV = 'test';
+				process.argv = process.argv.slice(0, 2);
+				require('../../app.js');
+				internals.started = internals.ready(50);
+			}
+			return internals.started;
+		},
+
+		/**
+		 * Send a request to the application
+		 *
+		 * @param  {String} method HTTP method
+		 * @param  {String} url    URL path, with the query string
+		 * @param  {String} token  Access token, optional
+		 * @param  {Object} body   JSON body, optional
+		 * @param  {Object} extra  Extra request headers, optional
+		 *
+		 * @return {Promise}       Resolves with the response status, headers & parsed body
+		 *
+		 * @public
+		 */
+		request: function (method, url, token, body, extra) {
+
+			return new libs.Promise(function (resolve, reject) {
+
+				var payload = body ? JSON.stringify(body) : '';
+				var headers = libs._.extend({
+					'Content-Type': 'application/json',
+					'Content-Length': Buffer.byteLength(payload)
+				}, extra);
+
+				if (token) {
+					headers.Authorization = 'Bearer ' + token;
+				}
+
+				var request = libs.http.request({
+					host:		config.ip,
+					port:		config.port,
+					method:		method.toUpperCase(),
+					path:		url,
+					headers:	headers
+				}, function (response) {
+
+					var chunks = [];
+
+					response.on('data', chunks.push.bind(chunks));
+					response.on('end', function () {
+
+						var text = Buffer.concat(chunks).toString();
+
+						resolve({
+							status:		response.statusCode,
+							headers:	response.headers,
+							body:		/json/.test(response.headers['content-type']) ? JSON.parse(text) : text
+						});
+					});
+				});
+
+				request.on('error', reject);
+				request.end(payload);
+			});
+		},
+
+		/**
+		 * Admin access token. The admin credential is created at startup with
+		 * in-memory storage, it is rotated once to get hold of a token
+		 *
+		 * @return {Promise} Resolves with the admin access token
+		 *
+		 * @public
+		 */
+		admin: function () {
+
+			if (!internals.admin) {
+				internals.admin = api.start()
+					.then(function () {
+
+						return Security.admin(true);
+					})
+					.get('token');
+			}
+			return internals.admin;
+		},
+
+		/**
+		 * Decode the claims of an access token, without verifying it
+		 *
+		 * @param  {String} token Access token
+		 *
+		 * @return {Object}       Claims
+		 *
+		 * @public
+		 */
+		claims: function (token) {
+
+			return JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+		},
+
+		/**
+		 * Issue a token, as the admin
+		 *
+		 * @param  {String} user     User ID
+		 * @param  {Object} settings Token settings: scope, roles, validity & delegation
+		 *
+		 * @return {Promise}         Resolves with the access & refresh token pair
+		 *
+		 * @public
+		 */
+		issue: function (user, settings) {
+
+			return api.admin()
+				.then(function (token) {
+
+					return api.request('post', '/tokens/' + user, token, settings);
+				})
+				.then(function (response) {
+
+					libs.assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+					return response.body;
+				});
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	http:		require('http'),
+	assert:		require('assert'),
+	Promise:	require('bluebird/js/release/promise')()
+});
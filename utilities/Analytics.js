@@ -0,0 +1,193 @@
+/**
+ * Usage analytics: requests & errors, by route, method & user. Hits are
+ * buffered and written in batches, off the request path, to the adapter
+ * selected by config.analytics.adapter: noop (default), local (usage
+ * aggregated in the database) or google (Universal Analytics, opt-in)
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Analytics recorder
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Available adapters, by name
+		 *
+		 * @type {Object}
+		 */
+		adapters: {
+			noop:	config.path + 'utilities/analytics/NoopAnalytics',
+			local:	config.path + 'utilities/analytics/LocalAnalytics',
+			google:	config.path + 'utilities/analytics/GoogleAnalytics'
+		},
+
+		/**
+		 * Selected adapter
+		 *
+		 * @type {Object}
+		 */
+		adapter: null,
+
+		/**
+		 * Hits waiting to be written
+		 *
+		 * @type {Array}
+		 */
+		queue: [],
+
+		/**
+		 * Create a hit from a request
+		 *
+		 * @param  {String} type    Hit type: 'request' or 'exception'
+		 * @param  {Object} request Request
+		 *
+		 * @return {Object}         Hit
+		 *
+		 * @private
+		 */
+		hit: function (type, request) {
+
+			return {
+				type:	type,
+				time:	new Date(),
+				route:	request.route ? (request.baseUrl || '') + request.route.path : 'unmatched',
+				method:	request.method.toLowerCase(),
+				user:	request.token && request.token.id ? request.token.id : null
+			};
+		},
+
+		/**
+		 * Queue a hit. Hits are written when the buffer fills up or on the next flush interval
+		 *
+		 * @param  {Object} hit Hit
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		push: function (hit) {
+
+			internals.queue.push(hit);
+			if (internals.queue.length >= config.analytics.batch) {
+				api.flush();
+			}
+		},
+
+		/**
+		 * Record a finished request
+		 *
+		 * @param  {Object} request  Request
+		 * @param  {Object} response Response
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		finish: function (request, response) {
+
+			internals.push(libs._.extend(internals.hit('request', request), {status: response.statusCode}));
+		},
+
+		/**
+		 * Report a failed write. Analytics must never break a request
+		 *
+		 * @param  {Error} error Error
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		failure: function (error) {
+
+			libs.console.warn('Analytics write failed:', error && error.message);
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Record a request, once its response is sent
+		 *
+		 * @param  {Object} request  Request
+		 * @param  {Object} response Response
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		request: function (request, response) {
+
+			if (internals.adapter.enabled) {
+				response.on('finish', internals.finish.bind(this, request, response));
+			}
+		},
+
+		/**
+		 * Record a failed request
+		 *
+		 * @param  {Object} request Request
+		 * @param  {String} error   Error name, e.g. TokenExpiredError
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		exception: function (request, error) {
+
+			if (internals.adapter.enabled) {
+				internals.push(libs._.extend(internals.hit('exception', request), {error: error}));
+			}
+		},
+
+		/**
+		 * Write all queued hits
+		 *
+		 * @return {Promise} Resolves when the adapter is done writing
+		 *
+		 * @public
+		 */
+		flush: function () {
+
+			var batch = internals.queue;
+
+			internals.queue = [];
+			if (batch.length === 0) {
+				return libs.Promise.resolve();
+			}
+			return libs.Promise.resolve()
+				.then(internals.adapter.write.bind(internals.adapter, batch))
+				.catch(internals.failure);
+		}
+	};
+
+	if (!libs._.has(internals.adapters, config.analytics.adapter)) {
+		throw new Error('Unknown analytics adapter "' + config.analytics.adapter + '"');
+	}
+	internals.adapter = require(internals.adapters[config.analytics.adapter])(config.analytics[config.analytics.adapter]);
+
+	if (internals.adapter.enabled) {
+		setInterval(api.flush, libs.ms(config.analytics.flush)).unref();
+	}
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	ms:			require('ms'),
+	Promise:	require('bluebird/js/release/promise')(),
+	console:	require(config.path + 'utilities/Console')
+});
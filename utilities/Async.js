@@ -0,0 +1,144 @@
+/**
+ * Async route actions: every action is wrapped so that thrown errors &
+ * rejected promises (returned by the action) reach the error handler, with
+ * MongoDB driver errors mapped to application errors. Requests taking longer
+ * than config.requests.timeout are answered with a RequestTimeoutError
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Action wrapper & timeout middleware
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * MongoDB duplicate key error codes
+		 *
+		 * @type {Array}
+		 */
+		duplicates: [11000, 11001],
+
+		/**
+		 * Pass an error, if any, on to the error handler. Errors of requests already
+		 * answered (e.g. timed out) are only logged, as nothing can be sent anymore
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 * @param  {Error}    error    Error or object with error name & message, optional
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		forward: function (request, response, next, error) {
+
+			if (!error || error === 'route' || error === 'router') {
+				return next(error);
+			}
+			if (response.headersSent) {
+				libs.console.request(request).warn('Error after the response was sent:', error.name, error.message);
+				return;
+			}
+			next(api.error(error));
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Wrap a route action. The action receives a next handler forwarding
+		 * errors the same way, and may return a promise
+		 *
+		 * @param  {Function} action Route action (request, response, next)
+		 *
+		 * @return {Function}        Middleware for ExpressJS use
+		 *
+		 * @public
+		 */
+		wrap: function (action) {
+
+			return function (request, response, next) {
+
+				var forward = internals.forward.bind(this, request, response, next);
+				var result;
+
+				try {
+					result = action.call(this, request, response, forward);
+				} catch (error) {
+					return forward(error);
+				}
+				if (result && libs._.isFunction(result.then)) {
+					libs.Promise.resolve(result).catch(forward);
+				}
+			};
+		},
+
+		/**
+		 * Map MongoDB driver errors to application errors: duplicate keys
+		 * to DuplicateKeyError, others to DatabaseError. Other errors are kept
+		 *
+		 * @param  {Error}  error Error or object with error name & message
+		 *
+		 * @return {Object}       Error or object with error name & message
+		 *
+		 * @public
+		 */
+		error: function (error) {
+
+			if (!error || !/^Mongo/.test(error.name)) {
+				return error;
+			}
+			return {
+				name:		libs._.contains(internals.duplicates, error.code) ? 'DuplicateKeyError' : 'DatabaseError',
+				message:	error.message
+			};
+		},
+
+		/**
+		 * Middleware answering requests not answered within config.requests.timeout
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		timeout: function (request, response, next) {
+
+			var timer = setTimeout(function () {
+
+				if (!response.headersSent) {
+					next({name: 'RequestTimeoutError'});
+				}
+			}, libs.ms(config.requests.timeout));
+
+			response.on('finish', clearTimeout.bind(null, timer));
+			response.on('close', clearTimeout.bind(null, timer));
+			next();
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	ms:			require('ms'),
+	Promise:	require('bluebird/js/release/promise')(),
+	console:	require(config.path + 'utilities/Console')
+});
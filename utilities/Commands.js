@@ -0,0 +1,167 @@
+/**
+ * Command line entry points, e.g. `node app.js admin:token`
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Command parser & runner
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Available commands
+		 *
+		 * @type {Object}
+		 */
+		commands: {
+
+			/**
+			 * Create the admin credential on first run, or rotate it (--force)
+			 *
+			 * @param  {Object} flags Command line flags
+			 *
+			 * @return {Promise}
+			 *
+			 * @private
+			 */
+			'admin:token': function (flags) {
+
+				return Security.admin(flags.force).then(internals.print);
+			}
+		},
+
+		/**
+		 * Print a token pair to stdout. Tokens are only stored hashed or
+		 * by identifier, so this is the only time they are shown
+		 *
+		 * @param  {Object} pair Access & refresh token pair
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		print: function (pair) {
+
+			process.stdout.write([
+				'Access token:  ' + pair.token,
+				'Refresh token: ' + pair.refresh,
+				''
+			].join('\n'));
+		},
+
+		/**
+		 * Write a command invocation to the logs collection
+		 *
+		 * @param  {Object} command Parsed command
+		 * @param  {String} outcome Outcome of the command
+		 *
+		 * @return {Promise}        Resolves when the log entry is written
+		 *
+		 * @private
+		 */
+		log: function (command, outcome) {
+
+			libs.console.save({
+				type:		'operation',
+				user:		config.security.admin.id,
+				ip:			config.ip,
+				method:		'CLI',
+				endpoint:	command.name,
+				payload:	command.flags
+			}, outcome);
+			return libs.console.flush();
+		},
+
+		/**
+		 * Log a failed command and pass the error on
+		 *
+		 * @param  {Object} command Parsed command
+		 * @param  {Error}  error   Error
+		 *
+		 * @return {Promise}        Rejected with the error
+		 *
+		 * @private
+		 */
+		fail: function (command, error) {
+
+			return internals.log(command, error.message)
+				.then(libs.Promise.reject.bind(libs.Promise, error));
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Parse command line arguments
+		 *
+		 * @param  {Array}  args Arguments, without the node binary & script
+		 *
+		 * @return {Object}      Command with name & flags, or null when starting the server
+		 *
+		 * @public
+		 */
+		parse: function (args) {
+
+			var name = libs._.find(args, function (arg) {
+
+				return arg.indexOf('--') !== 0;
+			});
+
+			if (!name) {
+				return null;
+			}
+
+			return {
+				name: name,
+				flags: {
+					force: libs._.contains(args, '--force')
+				}
+			};
+		},
+
+		/**
+		 * Run a parsed command
+		 *
+		 * @param  {Object} command Command with name & flags
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		run: function (command) {
+
+			var action = internals.commands[command.name];
+
+			if (!libs._.has(internals.commands, command.name)) {
+				return internals.fail(command, new Error([
+					'Unknown command "' + command.name + '".',
+					'Available:', libs._.keys(internals.commands).join(', ')
+				].join(' ')));
+			}
+
+			return libs.Promise.resolve(action(command.flags))
+				.then(internals.log.bind(this, command, 'Completed'))
+				.catch(internals.fail.bind(this, command));
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	Promise:	require('bluebird/js/release/promise')(),
+	console:	require(config.path + 'utilities/Console')
+});
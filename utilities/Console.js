@@ -1,7 +1,199 @@
+/**
+ * Structured logger: leveled JSON records with request IDs, buffered and
+ * written in batches to the transports configured in config.console
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Logger
+ *
+ * @public
+ */
 module.exports = (function (libs) {
 
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
 	var internals = {
 
+		/**
+		 * Log levels, by severity
+		 *
+		 * @type {Object}
+		 */
+		levels: {
+			debug:	10,
+			info:	20,
+			warn:	30,
+			error:	40
+		},
+
+		/**
+		 * Available transports, by type
+		 *
+		 * @type {Object}
+		 */
+		types: {
+			stdout:		config.path + 'utilities/transports/StdoutTransport',
+			file:		config.path + 'utilities/transports/FileTransport',
+			database:	config.path + 'utilities/transports/DatabaseTransport',
+			syslog:		config.path + 'utilities/transports/SyslogTransport'
+		},
+
+		/**
+		 * Configured transports
+		 *
+		 * @type {Array}
+		 */
+		transports: [],
+
+		/**
+		 * Records waiting to be written
+		 *
+		 * @type {Array}
+		 */
+		queue: [],
+
+		/**
+		 * Create a transport from its configuration. Transports receive
+		 * 'message' records (debug, info, warn & error calls), 'entry'
+		 * records (request, operation & error log entries) or both
+		 *
+		 * @param  {Object} settings Transport settings: type, level, records & transport options
+		 *
+		 * @return {Object}          Transport
+		 *
+		 * @private
+		 */
+		transport: function (settings) {
+
+			if (!libs._.has(internals.types, settings.type)) {
+				throw new Error('Unknown log transport "' + settings.type + '"');
+			}
+
+			return {
+				level:		internals.levels[settings.level || config.console.level],
+				records:	settings.records || ['message'],
+				writer:		require(internals.types[settings.type])(libs._.omit(settings, 'type', 'level', 'records'))
+			};
+		},
+
+		/**
+		 * Queue a record. Records are written when the buffer fills up or on the next flush interval.
+		 * Log levels only filter messages, log entries are always kept
+		 *
+		 * @param  {String} kind   Record kind: 'message' or 'entry'
+		 * @param  {Object} record Log record
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		push: function (kind, record) {
+
+			if (kind === 'message' && internals.levels[record.level] < internals.levels[config.console.level]) {
+				return;
+			}
+
+			internals.queue.push({kind: kind, record: record});
+			if (internals.queue.length >= config.console.batch) {
+				api.flush();
+			}
+		},
+
+		/**
+		 * Write a batch of records to a transport
+		 *
+		 * @param  {Array}  batch     Queued records
+		 * @param  {Object} transport Transport
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		dispatch: function (batch, transport) {
+
+			var records = libs._.chain(batch)
+				.filter(function (item) {
+
+					return libs._.contains(transport.records, item.kind) &&
+						(item.kind === 'entry' || internals.levels[item.record.level] >= transport.level);
+				})
+				.pluck('record')
+				.value();
+
+			if (records.length === 0) {
+				return libs.Promise.resolve();
+			}
+			return libs.Promise.resolve()
+				.then(transport.writer.write.bind(transport.writer, records))
+				.catch(internals.failure);
+		},
+
+		/**
+		 * Report a failed transport write. Logging must never break a request
+		 *
+		 * @param  {Error} error Error
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		failure: function (error) {
+
+			process.stderr.write('Log transport failed: ' + (error && error.message) + '\n');
+		},
+
+		/**
+		 * Create a message record
+		 *
+		 * @param  {String} level   Log level
+		 * @param  {Object} context Extra fields, e.g. requestId
+		 * @param  {Array}  args    Message arguments, formatted like console.log
+		 *
+		 * @return {Object}         Log record
+		 *
+		 * @private
+		 */
+		message: function (level, context, args) {
+
+			return libs._.extend({
+				time:		libs.moment().format(),
+				level:		level,
+				message:	libs.util.format.apply(libs.util, args)
+			}, context);
+		},
+
+		/**
+		 * Create leveled log functions, bound to a context
+		 *
+		 * @param  {Object} context Extra fields added to every record
+		 *
+		 * @return {Object}         Log functions: debug, info, warn, error & log (info)
+		 *
+		 * @private
+		 */
+		logger: function (context) {
+
+			var logger = libs._.mapObject(internals.levels, function (severity, level) {
+
+				return function () {
+
+					internals.push('message', internals.message(level, context, libs._.toArray(arguments)));
+				};
+			});
+
+			logger.log = logger.info;
+			return logger;
+		},
+
+		/**
+		 * Format of accepted X-Request-Id headers
+		 *
+		 * @type {RegExp}
+		 */
+		requestIdFormat: /^[a-zA-Z0-9_.-]{1,64}$/
 	};
 
 	/**
@@ -9,8 +201,19 @@ module.exports = (function (libs) {
 	 *
 	 * @type {Object}
 	 */
-	var api = {
+	var api = libs._.extend(internals.logger({}), {
 
+		/**
+		 * Save a log entry (request, operation or error), e.g. to the logs collection.
+		 * Tokens & sensitive payload fields are redacted first, see Redact
+		 *
+		 * @param  {Object} entry Log entry
+		 * @param  {*}      info  Extra information
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
 		save: function (entry, info) {
 
 			entry = entry || {};
@@ -23,52 +226,77 @@ module.exports = (function (libs) {
 				method:		entry.method	|| '',
 				endpoint:	entry.endpoint	|| '',
 				payload:	entry.payload	|| '',
-				info:		info 			|| ''
+				info:		info 			|| '',
+				requestId:	entry.requestId	|| ''
 			};
 
-			libs.Database.upsert('logs', log);
+			internals.push('entry', libs._.extend({
+				level: log.type === 'error' ? 'error' : 'info'
+			}, libs.Redact.entry(log)));
 		},
 
 		/**
-		 * Log regular actions
-		 * 
-		 * @return {void}
+		 * Log functions adding the request ID to every record
+		 *
+		 * @param  {Object} request Request
+		 *
+		 * @return {Object}         Log functions: debug, info, warn, error & log
 		 *
 		 * @public
 		 */
-		log: function () {
+		request: function (request) {
 
-			console.log.apply(console, arguments);
+			return internals.logger({requestId: request.id});
 		},
 
 		/**
-		 * Log info
-		 * 
+		 * Middleware assigning an ID to every request, taken from the
+		 * X-Request-Id header when valid, and returning it as a header
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
 		 * @return {void}
 		 *
 		 * @public
 		 */
-		info: function () {
+		identify: function (request, response, next) {
 
-			console.info.apply(console, arguments);
+			var id = request.get('X-Request-Id');
+
+			request.id = id && internals.requestIdFormat.test(id) ? id : libs.crypto.randomBytes(12).toString('hex');
+			response.set('X-Request-Id', request.id);
+			next();
 		},
 
 		/**
-		 * Log errors
-		 * 
-		 * @return {void}
+		 * Write all queued records
+		 *
+		 * @return {Promise} Resolves when every transport is done writing
 		 *
 		 * @public
 		 */
-		error: function () {
+		flush: function () {
 
-			console.info.apply(console, arguments);
+			var batch = internals.queue;
+
+			internals.queue = [];
+			return libs.Promise.all(libs._.map(internals.transports, libs._.partial(internals.dispatch, batch)));
 		}
-	};
+	});
+
+	internals.transports = libs._.map(config.console.transports, internals.transport);
+	setInterval(api.flush, libs.ms(config.console.flush)).unref();
 
 	return api;
 
 })({
-	moment: 	require('moment'),
-	Database: 	require(config.path + 'utilities/Database')
-});
\ No newline at end of file
+	_:			require('underscore'),
+	ms:			require('ms'),
+	util:		require('util'),
+	crypto:		require('crypto'),
+	moment:		require('moment'),
+	Promise:	require('bluebird/js/release/promise')(),
+	Redact:		require(config.path + 'utilities/Redact')
+});
@@ -15,32 +15,93 @@ module.exports = (function (libs) {
 		omit: libs._.partial(libs._.omit, libs._, ['_id']),
 
 		/**
-		 * Currently connected database
+		 * Available storage adapters, selected by config.database.adapter.
+		 * Adapters return MongoDB driver style responses, processed by this module
 		 *
 		 * @type {Object}
 		 */
-		database: null,
+		adapters: {
+			mongo:	config.path + 'utilities/adapters/MongoAdapter',
+			memory:	config.path + 'utilities/adapters/MemoryAdapter'
+		},
 
 		/**
-		 * On MongoDB connect handler
+		 * Selected storage adapter
 		 *
-		 * @param  {Function} resolve  Promise resolve function
-		 * @param  {Function} reject   Promise reject function
-		 * @param  {Object}   error    Error or null
-		 * @param  {Object}   database MongoDB Database object
+		 * @type {Object}
+		 */
+		adapter: null,
+
+		/**
+		 * Duration of database operations
 		 *
-		 * @return {Promise}
+		 * @type {Object}
+		 */
+		timings: libs.Metrics.histogram('database_operation_duration_seconds', 'Database operation duration, by operation & collection'),
+
+		/**
+		 * Filters selecting the rows past a position in a sort order (keyset paging):
+		 * rows past it on the first sort field, or level on the first fields & past it on the next.
+		 * The sort order should end with _id, so that positions are unique
+		 *
+		 * @param  {Object} sort  Sort options, e.g. {time: -1, _id: -1}
+		 * @param  {Object} after Position: values of the sort fields, _id as a string
+		 *
+		 * @return {Object}       Filters
 		 *
 		 * @private
 		 */
-		onConnect: function (resolve, reject, error, database) {
+		keyset: function (sort, after) {
 
-			if (!error) {
-				internals.database = database;
-				resolve();
-			} else {
-				reject(error);
-			}
+			var fields = libs._.keys(sort);
+
+			return {
+				$or: libs._.map(fields, function (field, index) {
+
+					var level = fields.slice(0, index);
+					var condition = libs._.object(level, libs._.map(level, internals.position.bind(this, after)));
+
+					condition[field] = libs._.object([sort[field] < 0 ? '$lt' : '$gt'], [internals.position(after, field)]);
+					return condition;
+				})
+			};
+		},
+
+		/**
+		 * Value of a sort field at a position, IDs converted for the adapter
+		 *
+		 * @param  {Object} after Position
+		 * @param  {String} field Field name
+		 *
+		 * @return {*}            Value
+		 *
+		 * @private
+		 */
+		position: function (after, field) {
+
+			return field === '_id' ? internals.adapter.id(after._id) : after[field];
+		},
+
+		/**
+		 * Record the duration of a database operation
+		 *
+		 * @param  {String}  operation  Operation name
+		 * @param  {String}  collection Collection name
+		 * @param  {Promise} promise    Adapter operation
+		 *
+		 * @return {Promise}            Adapter operation
+		 *
+		 * @private
+		 */
+		time: function (operation, collection, promise) {
+
+			var elapsed = libs.Metrics.timer();
+
+			return libs.Promise.resolve(promise)
+				.finally(function () {
+
+					internals.timings.observe({operation: operation, collection: collection}, elapsed());
+				});
 		},
 
 		/**
@@ -55,7 +116,9 @@ module.exports = (function (libs) {
 			 * 
 			 * @param  {Object} mongoResponse MongoDB response
 			 *
-			 * @return {Object}               Processed message
+			 * @return {Object}               Upserted record
+			 *
+			 * @throws {Object}               DatabaseError when nothing was upserted
 			 *
 			 * @private
 			 */
@@ -64,47 +127,82 @@ module.exports = (function (libs) {
  				if (mongoResponse.ok === 1 && mongoResponse.value._id) {
  					return internals.omit(mongoResponse.value);
  				}
- 				return {
- 					error: Errors.spawn(400, 100, mongoResponse.lastErrorObject)
+ 				throw {
+ 					name:		'DatabaseError',
+ 					message:	JSON.stringify(mongoResponse.lastErrorObject)
  				};
 			},
 
 			/**
 			 * Process list MongoDB response
 			 * 
+			 * @param  {Object} options       List options: IDs are kept (as strings) when ids is set
 			 * @param  {Object} mongoResponse MongoDB response
 			 *
 			 * @return {Object}               Processed message
 			 *
 			 * @private
 			 */
-			list: function (mongoResponse) {
+			list: function (options, mongoResponse) {
 
 				if (mongoResponse && mongoResponse.length > 0) {
-					return libs._.map(mongoResponse, internals.omit);
+					return libs._.map(mongoResponse, function (row) {
+
+						return options.ids ? libs._.extend({}, row, {_id: String(row._id)}) : internals.omit(row);
+					});
 				}
 				return [];
 			},
 
 			/**
-			 * Process remove MongoDB response
+			 * Process insertMany MongoDB response
 			 * 
 			 * @param  {Object} mongoResponse MongoDB response
 			 *
 			 * @return {Object}               Processed message
 			 *
+			 * @throws {Object}               DatabaseError when the insert failed
+			 *
 			 * @private
 			 */
-			remove: function (mongoResponse) {
+			insert: function (mongoResponse) {
 
-				if (mongoResponse.result.ok === 1 && mongoResponse.result.n > 0) {
+				if (mongoResponse.result.ok === 1) {
 					return {
-						success: ['Removed', mongoResponse.result.n, 'record(s)'].join(' ')
-					}
-				}
-				return {
-					error: Errors.NothingToRemoveError
+						success: ['Inserted', mongoResponse.result.n, 'record(s)'].join(' ')
+					};
 				}
+				throw {
+					name: 'DatabaseError'
+				};
+			},
+
+			/**
+			 * Process updateMany MongoDB response
+			 *
+			 * @param  {Object} mongoResponse MongoDB response
+			 *
+			 * @return {Number}               Number of matching rows
+			 *
+			 * @private
+			 */
+			update: function (mongoResponse) {
+
+				return mongoResponse.result.n;
+			},
+
+			/**
+			 * Process remove MongoDB response
+			 * 
+			 * @param  {Object} mongoResponse MongoDB response
+			 *
+			 * @return {Number}               Number of removed rows
+			 *
+			 * @private
+			 */
+			remove: function (mongoResponse) {
+
+				return mongoResponse.result.n;
 			}
 		}
 	};
@@ -127,13 +225,47 @@ module.exports = (function (libs) {
 		 */
 		connect: function (url) {
 
-			var action = function (resolve, reject) {
-				
-				var client = new libs.mongo.MongoClient();
-				client.connect(url, internals.onConnect.bind(this, resolve, reject));
-			};
+			return internals.adapter.connect(url);
+		},
+
+		/**
+		 * Close the database connection
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		close: function () {
+
+			return internals.adapter.close();
+		},
+
+		/**
+		 * Checks whether the database connection is usable
+		 *
+		 * @return {Promise} Rejects when the database can't be reached
+		 *
+		 * @public
+		 */
+		ping: function () {
+
+			return internals.time('ping', '', internals.adapter.ping());
+		},
+
+		/**
+		 * Create an index, unless it exists
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} fields     Indexed fields & directions, e.g. {key: 1}
+		 * @param  {Object} options    Index options, e.g. {unique: true}, optional
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		index: function (collection, fields, options) {
 
-			return new libs.Promise(action);
+			return internals.time('index', collection, internals.adapter.index(collection, fields, options || {}));
 		},
 
 		/**
@@ -149,25 +281,43 @@ module.exports = (function (libs) {
 		 */
 		upsert: function (collection, data, filters) {
 
-			var sort = [];
-			var operation = {
-				$set: data
-			};
-			var options = {
-				upsert: true,
-				new: true
-			};
+			return internals.time('upsert', collection, internals.adapter.upsert(collection, data, filters))
+				.then(internals.process.upsert);
+		},
 
-			if (filters) {
-				return internals.database.collection(collection)
-					.findAndModify(filters, sort, operation, options)
-					.then(internals.process.upsert);
-			} else {
-				return internals.database.collection(collection)
-					.insert(data)
-					.then(internals.process.upsert);
-			}
+		/**
+		 * Increment counters of a row, inserting it when missing
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} counters   Fields & amounts to be added, e.g. {count: 1}
+		 * @param  {Object} data       Other fields to be set, optional
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		increment: function (collection, filters, counters, data) {
 
+			return internals.time('increment', collection, internals.adapter.increment(collection, filters, counters, data))
+				.then(internals.process.upsert);
+		},
+
+		/**
+		 * Insert several rows at once
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Array}  rows       Rows to be inserted
+		 * @param  {Object} options    Insert options, optional: {ordered: false} keeps inserting after a failed row
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		insert: function (collection, rows, options) {
+
+			return internals.time('insert', collection, internals.adapter.insert(collection, rows, options))
+				.then(internals.process.insert);
 		},
 
 		/**
@@ -176,47 +326,85 @@ module.exports = (function (libs) {
 		 * @param  {String} collection Collection name
 		 * @param  {Object} filters    Filters for selecting data
 		 *
-		 * @return {Promise}
+		 * @return {Promise}           Resolves with the number of removed rows
 		 *
 		 * @public
 		 */
 		remove: function (collection, filters) {
 			
-			return internals.database.collection(collection)
-				.deleteMany(filters)
+			return internals.time('remove', collection, internals.adapter.remove(collection, filters))
 				.then(internals.process.remove);
 		},
 
+		/**
+		 * Update fields of one or more rows. Rows are never inserted
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} data       Fields to be set
+		 * @param  {Object} counters   Fields & amounts to be added, e.g. {count: 1}, optional
+		 * @param  {Object} appends    List fields & values to be appended, e.g. {history: {...}}, optional
+		 *
+		 * @return {Promise}           Resolves with the number of matching rows
+		 *
+		 * @public
+		 */
+		update: function (collection, filters, data, counters, appends) {
+
+			return internals.time('update', collection, internals.adapter.update(collection, filters, data, counters, appends))
+				.then(internals.process.update);
+		},
+
 		/**
 		 * List one or more rows
 		 *
 		 * @param  {String} collection Collection name
 		 * @param  {Object} filters    Filters for selecting data
 		 * @param  {Object} sort       Sort options
+		 * @param  {Object} options    Paging & projection options: skip, limit, projection (e.g. {user: 1}),
+		 *                             after (position in the sort order to list from, see keyset)
+		 *                             & ids (keep row IDs, as strings)
 		 *
 		 * @return {Promise}
 		 *
 		 * @public
 		 */
-		list: function (collection, filters, sort) {
+		list: function (collection, filters, sort, options) {
 
-			var cursor = internals.database.collection(collection)
-				.find(filters || {});
-
-			if (sort) {
-				cursor.sort(sort)
+			options = options || {};
+			if (options.after) {
+				filters = {
+					$and: [filters || {}, internals.keyset(sort, options.after)]
+				};
 			}
-			return cursor
-				.toArray()
-				.then(internals.process.list);
+			return internals.time('list', collection, internals.adapter.list(collection, filters, sort, options))
+				.then(internals.process.list.bind(this, options));
+		},
+
+		/**
+		 * Count rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 *
+		 * @return {Promise}           Resolves with the number of rows
+		 *
+		 * @public
+		 */
+		count: function (collection, filters) {
+
+			return internals.time('count', collection, internals.adapter.count(collection, filters || {}));
 		}
 	};
 
-	libs.mongo = libs.Promise.promisifyAll(libs.mongo);
+	if (!libs._.has(internals.adapters, config.database.adapter)) {
+		throw new Error('Unknown database adapter "' + config.database.adapter + '"');
+	}
+	internals.adapter = require(internals.adapters[config.database.adapter]);
 	return api;
 
 })({
-	mongo:		require('mongodb'),
 	_:			require('underscore'),
-	Promise:	require('bluebird/js/release/promise')()
+	Promise:	require('bluebird/js/release/promise')(),
+	Metrics:	require(config.path + 'utilities/Metrics')
 });
\ No newline at end of file
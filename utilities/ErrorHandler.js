@@ -43,30 +43,31 @@ module.exports = (function (libs) {
 			result.message = Errors[error.name].message;
 		}
 
+		// Failed fields, e.g. of request validation
+		if (error.details) {
+			result.details = error.details;
+		}
+
 		var log = {
 			type:		'error',
-			time:		libs.moment().format(),
 			user:		info.id,
 			ip:			request.get('X-Forwarded-For'),
 			token:		request.get('authorization'),
 			method:		request.method,
 			endpoint:	request.originalUrl,
 			payload:	request.body,
-			info:		{ error: error.name, message: error.message }
+			requestId:	request.id
 		};
 
-		libs.Database.upsert('logs', log);
+		libs.console.save(log, { error: error.name, message: error.message, details: error.details });
 
-		request.analytics.exception({
-			exceptionDescription: [error.name, result.message].join(': ')
-		}).send();
+		libs.Analytics.exception(request, error.name || 'DefaultError');
 
 		Security.respond.call(Security.scope(request, response, next), {error: result});
-		libs.console.error('Details:', error);
+		libs.console.request(request).error('Details:', error);
 	};
 })({
 	_:			require('underscore'),
-	moment:		require('moment'),
 	console:	require(config.path + 'utilities/Console'),
-	Database:	require(config.path + 'utilities/Database')
+	Analytics:	require(config.path + 'utilities/Analytics')
 });
\ No newline at end of file
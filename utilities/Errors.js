@@ -24,6 +24,17 @@ module.exports = (function (libs) {
 		InvalidPayloadError:	{ status: 400, code: 105, message: 'Token or request body payload is invalid' },
 		NoDataAvailableError:	{ status: 404, code: 106, message: 'No data matches given filters' },
 		NothingToRemoveError:	{ status: 409, code: 107, message: 'Nothing to remove' },
+		RefreshTokenError:		{ status: 401, code: 108, message: 'Refresh token is invalid or has expired' },
+		RefreshTokenReuseError:	{ status: 401, code: 109, message: 'Refresh token was already used, token family revoked' },
+		TokenDelegationError:	{ status: 403, code: 110, message: 'Requested token exceeds the issuer scope or delegation limits' },
+		InvalidQueryError:		{ status: 400, code: 111, message: 'Query contains unknown fields, operators or invalid values' },
+		RateLimitError:			{ status: 429, code: 112, message: 'Too many requests, try again later' },
+		ServiceUnavailableError:	{ status: 503, code: 113, message: 'Service is not ready' },
+		TokenSuspendedError:	{ status: 401, code: 114, message: 'Token is suspended' },
+		InvalidStatusTransitionError:	{ status: 409, code: 115, message: 'Token status cannot be changed to the requested status' },
+		DatabaseError:			{ status: 500, code: 116, message: 'Database operation failed' },
+		DuplicateKeyError:		{ status: 409, code: 117, message: 'A record with the same key already exists' },
+		RequestTimeoutError:	{ status: 503, code: 118, message: 'Request timed out' },
 
 		/**
 		 * Spawn a new custom error object
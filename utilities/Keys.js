@@ -0,0 +1,220 @@
+/**
+ * Signing & verification keys (HS256, RS256, ES256) with rotation support
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Token signing & verification utilities
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Algorithms signed with the shared secret
+		 *
+		 * @type {Array}
+		 */
+		symmetric: ['HS256', 'HS384', 'HS512'],
+
+		/**
+		 * Loaded keys, by kid
+		 *
+		 * @type {Object}
+		 */
+		keys: {},
+
+		/**
+		 * Verify a token's signature
+		 *
+		 * @type {Function}
+		 */
+		verify: libs.Promise.promisify(libs.jwt.verify),
+
+		/**
+		 * Read a PEM file, relative to the application path
+		 *
+		 * @param  {String} file File path
+		 *
+		 * @return {String}      PEM contents, or undefined when no file is given
+		 *
+		 * @private
+		 */
+		read: function (file) {
+
+			if (file) {
+				return libs.fs.readFileSync(libs.path.resolve(config.path, file), 'utf8');
+			}
+		},
+
+		/**
+		 * Derive the public key of a private key
+		 *
+		 * @param  {String} key Private key, PEM
+		 *
+		 * @return {String}     Public key, PEM
+		 *
+		 * @private
+		 */
+		derive: function (key) {
+
+			if (key) {
+				return libs.crypto.createPublicKey(key).export({type: 'spki', format: 'pem'});
+			}
+		},
+
+		/**
+		 * Load a key definition from config. Symmetric keys use the
+		 * configured secret, asymmetric keys are read from PEM files,
+		 * the public key derived from the private key when not configured.
+		 * Keys without a private key can only verify (retired keys)
+		 *
+		 * @param  {Object} definition Key definition: kid, algorithm, privateKey & publicKey files
+		 *
+		 * @return {Object}            Loaded key
+		 *
+		 * @private
+		 */
+		load: function (definition) {
+
+			var symmetric = libs._.contains(internals.symmetric, definition.algorithm);
+			var signing = symmetric ? config.security.secret : internals.read(definition.privateKey);
+
+			return {
+				kid:		definition.kid,
+				algorithm:	definition.algorithm,
+				symmetric:	symmetric,
+				signing:	signing,
+				verifying:	symmetric ? signing : internals.read(definition.publicKey) || internals.derive(signing)
+			};
+		},
+
+		/**
+		 * Find the verification key for a token. Tokens issued before key
+		 * rotation was introduced carry no kid and use the shared secret
+		 *
+		 * @param  {Object} header Decoded token header
+		 *
+		 * @return {Object}        Key, or undefined when unknown
+		 *
+		 * @private
+		 */
+		find: function (header) {
+
+			if (header.kid) {
+				return internals.keys[header.kid];
+			}
+			return libs._.find(internals.keys, function (key) {
+
+				return key.symmetric && key.algorithm === header.alg;
+			});
+		},
+
+		/**
+		 * Convert a public key to a JSON Web Key
+		 *
+		 * @param  {Object} key Loaded asymmetric key
+		 *
+		 * @return {Object}     JSON Web Key
+		 *
+		 * @private
+		 */
+		jwk: function (key) {
+
+			return libs._.extend(libs.crypto.createPublicKey(key.verifying).export({format: 'jwk'}), {
+				kid: key.kid,
+				alg: key.algorithm,
+				use: 'sig'
+			});
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Sign a token payload with the active signing key.
+		 * The key's kid is added to the token header
+		 *
+		 * @param  {Object} payload Token payload
+		 * @param  {Object} options jsonwebtoken sign options (expiresIn, jwtid)
+		 *
+		 * @return {String}         Signed token
+		 *
+		 * @public
+		 */
+		sign: function (payload, options) {
+
+			var key = internals.keys[config.security.keys.active];
+
+			return libs.jwt.sign(payload, key.signing, libs._.extend({}, options, {
+				algorithm: key.algorithm,
+				headers: {
+					kid: key.kid
+				}
+			}));
+		},
+
+		/**
+		 * Verify a token against the key named in its header
+		 *
+		 * @param  {String} token Token string
+		 *
+		 * @return {Promise}      Resolves with the decoded token
+		 *
+		 * @public
+		 */
+		verify: function (token) {
+
+			var decoded = libs.jwt.decode(token, {complete: true});
+			var key = decoded && internals.find(decoded.header);
+
+			if (!key) {
+				return libs.Promise.reject({name: 'JsonWebTokenError', message: 'Unknown signing key'});
+			}
+			return internals.verify(token, key.verifying, {algorithms: [key.algorithm]});
+		},
+
+		/**
+		 * JSON Web Key Set with the public keys of all asymmetric keys
+		 *
+		 * @return {Object} JWKS document
+		 *
+		 * @public
+		 */
+		jwks: function () {
+
+			return {
+				keys: libs._.chain(internals.keys)
+					.reject(libs._.property('symmetric'))
+					.map(internals.jwk)
+					.value()
+			};
+		}
+	};
+
+	internals.keys = libs._.indexBy(libs._.map(config.security.keys.list, internals.load), 'kid');
+	if (!internals.keys[config.security.keys.active] || !internals.keys[config.security.keys.active].signing) {
+		throw new Error('Signing key "' + config.security.keys.active + '" is not configured or has no private key');
+	}
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	fs:			require('fs'),
+	path:		require('path'),
+	crypto:		require('crypto'),
+	jwt:		require('jsonwebtoken'),
+	Promise:	require('bluebird/js/release/promise')()
+});
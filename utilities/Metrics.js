@@ -0,0 +1,341 @@
+/**
+ * Metrics in the Prometheus text format: counters & histograms with labels.
+ * Requests are counted & timed by route, method & status. The metrics are
+ * served at config.metrics.path, on the application port or, when
+ * config.metrics.port is set, on a separate port
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Metrics registry
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Default histogram buckets, in seconds
+		 *
+		 * @type {Array}
+		 */
+		buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+		/**
+		 * Registered metrics, by name
+		 *
+		 * @type {Object}
+		 */
+		metrics: {},
+
+		/**
+		 * Request counter & duration histogram, registered on load
+		 *
+		 * @type {Object}
+		 */
+		requests: null,
+		duration: null,
+
+		/**
+		 * Format labels, e.g. {method="get",status="200"}
+		 *
+		 * @param  {Object} labels Label names & values
+		 *
+		 * @return {String}        Formatted labels, empty when there are none
+		 *
+		 * @private
+		 */
+		labels: function (labels) {
+
+			var pairs = libs._.map(labels, function (value, name) {
+
+				return name + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+			});
+
+			return pairs.length > 0 ? '{' + pairs.join(',') + '}' : '';
+		},
+
+		/**
+		 * Register a metric, or get the registered metric of the same name
+		 *
+		 * @param  {String} type   Metric type: counter or histogram
+		 * @param  {String} name   Metric name
+		 * @param  {String} help   Description
+		 * @param  {Object} extend Type specific properties & functions
+		 *
+		 * @return {Object}        Metric
+		 *
+		 * @private
+		 */
+		register: function (type, name, help, extend) {
+
+			internals.metrics[name] = internals.metrics[name] || libs._.extend({
+				type:	type,
+				name:	name,
+				help:	help,
+				series:	{}
+			}, extend);
+			return internals.metrics[name];
+		},
+
+		/**
+		 * Get (or create) the series of a metric with the given labels
+		 *
+		 * @param  {Object}   metric Metric
+		 * @param  {Object}   labels Label names & values
+		 * @param  {Function} create Creates an empty series
+		 *
+		 * @return {Object}          Series
+		 *
+		 * @private
+		 */
+		series: function (metric, labels, create) {
+
+			var key = internals.labels(labels);
+
+			metric.series[key] = metric.series[key] || libs._.extend({labels: labels || {}}, create());
+			return metric.series[key];
+		},
+
+		/**
+		 * Render a metric
+		 *
+		 * @param  {Object} metric Metric
+		 *
+		 * @return {String}        Lines in the Prometheus text format
+		 *
+		 * @private
+		 */
+		render: function (metric) {
+
+			var lines = [
+				'# HELP ' + metric.name + ' ' + metric.help,
+				'# TYPE ' + metric.name + ' ' + metric.type
+			];
+
+			libs._.each(metric.series, function (series) {
+
+				if (metric.type === 'counter') {
+					lines.push(metric.name + internals.labels(series.labels) + ' ' + series.value);
+					return;
+				}
+				libs._.each(metric.buckets, function (bucket, index) {
+
+					lines.push(metric.name + '_bucket' +
+						internals.labels(libs._.extend({}, series.labels, {le: bucket})) + ' ' + series.counts[index]);
+				});
+				lines.push(metric.name + '_bucket' +
+					internals.labels(libs._.extend({}, series.labels, {le: '+Inf'})) + ' ' + series.count);
+				lines.push(metric.name + '_sum' + internals.labels(series.labels) + ' ' + series.sum);
+				lines.push(metric.name + '_count' + internals.labels(series.labels) + ' ' + series.count);
+			});
+
+			return lines.join('\n');
+		},
+
+		/**
+		 * Record a finished request
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} elapsed  Returns the elapsed time, in seconds
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		finish: function (request, response, elapsed) {
+
+			var labels = {
+				method:	request.method.toLowerCase(),
+				route:	request.route ? (request.baseUrl || '') + request.route.path : 'unmatched',
+				status:	response.statusCode
+			};
+
+			internals.requests.inc(labels);
+			internals.duration.observe(labels, elapsed());
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Register a counter
+		 *
+		 * @param  {String} name Metric name
+		 * @param  {String} help Description
+		 *
+		 * @return {Object}      Counter, with inc(labels, amount)
+		 *
+		 * @public
+		 */
+		counter: function (name, help) {
+
+			return internals.register('counter', name, help, {
+
+				inc: function (labels, amount) {
+
+					var series = internals.series(this, labels, function () {
+
+						return {value: 0};
+					});
+
+					series.value += libs._.isUndefined(amount) ? 1 : amount;
+				}
+			});
+		},
+
+		/**
+		 * Register a histogram
+		 *
+		 * @param  {String} name    Metric name
+		 * @param  {String} help    Description
+		 * @param  {Array}  buckets Upper bounds of the buckets, in seconds, optional
+		 *
+		 * @return {Object}         Histogram, with observe(labels, value)
+		 *
+		 * @public
+		 */
+		histogram: function (name, help, buckets) {
+
+			return internals.register('histogram', name, help, {
+				buckets: buckets || internals.buckets,
+
+				observe: function (labels, value) {
+
+					var metric = this;
+					var series = internals.series(metric, labels, function () {
+
+						return {
+							counts:	libs._.map(metric.buckets, libs._.constant(0)),
+							sum:	0,
+							count:	0
+						};
+					});
+
+					libs._.each(metric.buckets, function (bucket, index) {
+
+						if (value <= bucket) {
+							series.counts[index] += 1;
+						}
+					});
+					series.sum += value;
+					series.count += 1;
+				}
+			});
+		},
+
+		/**
+		 * Start a timer
+		 *
+		 * @return {Function} Returns the elapsed time, in seconds
+		 *
+		 * @public
+		 */
+		timer: function () {
+
+			var start = process.hrtime();
+
+			return function () {
+
+				var elapsed = process.hrtime(start);
+
+				return elapsed[0] + elapsed[1] / 1e9;
+			};
+		},
+
+		/**
+		 * Middleware counting & timing requests, by method, route & status
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		track: function (request, response, next) {
+
+			response.on('finish', internals.finish.bind(this, request, response, api.timer()));
+			next();
+		},
+
+		/**
+		 * Render all metrics in the Prometheus text format
+		 *
+		 * @return {String} Metrics
+		 *
+		 * @public
+		 */
+		render: function () {
+
+			return libs._.map(internals.metrics, internals.render).join('\n') + '\n';
+		},
+
+		/**
+		 * Middleware serving the metrics
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		serve: function (request, response) {
+
+			response
+				.status(200)
+				.type('text/plain; version=0.0.4')
+				.send(api.render());
+		},
+
+		/**
+		 * Serve the metrics on their own port, when config.metrics.port is set
+		 *
+		 * @return {Promise} Resolves with the metrics server, if any, when listening
+		 *
+		 * @public
+		 */
+		listen: function () {
+
+			var app = libs.express();
+
+			if (!config.metrics.enabled || !config.metrics.port) {
+				return libs.Promise.resolve(null);
+			}
+			app.disable('x-powered-by');
+			app.get(config.metrics.path, api.serve);
+
+			return new libs.Promise(function (resolve, reject) {
+
+				var server = app.listen(config.metrics.port, config.ip, function () {
+
+					resolve(server);
+				});
+
+				server.on('error', reject);
+			});
+		}
+	};
+
+	internals.requests = api.counter('http_requests_total', 'HTTP requests, by method, route & status');
+	internals.duration = api.histogram('http_request_duration_seconds', 'HTTP request duration, by method, route & status');
+	return api;
+
+})({
+	_:			require('underscore'),
+	express:	require('express'),
+	Promise:	require('bluebird/js/release/promise')()
+});
@@ -0,0 +1,299 @@
+/**
+ * OpenAPI 3.1 document, generated from the registered routes. Permissions
+ * required by a route (via Security.require, including those of a '*' route
+ * registered before it, e.g. the authentication wall) are listed as bearer
+ * security requirements. Request schemas come from the route 'schema'
+ * (body, params & query), success response schemas from 'schema.responses',
+ * keyed by status code. Error responses list the codes of Errors.
+ * Routes for 'all' methods have no OpenAPI equivalent & are left out
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         OpenAPI document generator
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Name of the bearer token security scheme
+		 *
+		 * @type {String}
+		 */
+		scheme: 'token',
+
+		/**
+		 * Base URL of a wildcard route, e.g. '' for '*' & '/v1' for '/v1/*'
+		 *
+		 * @param  {Object} route Route
+		 *
+		 * @return {String}       Base URL, or null for other routes
+		 *
+		 * @private
+		 */
+		wildcard: function (route) {
+
+			if (route.method !== 'all' || !/(^|\/)\*$/.test(route.url)) {
+				return null;
+			}
+			return route.url.replace(/\/?\*$/, '');
+		},
+
+		/**
+		 * Permissions required by the actions of a route
+		 *
+		 * @param  {Object} route Route
+		 *
+		 * @return {Array}        Permissions
+		 *
+		 * @private
+		 */
+		permissions: function (route) {
+
+			return libs._.chain(route.actions)
+				.pluck('permissions')
+				.compact()
+				.flatten()
+				.value();
+		},
+
+		/**
+		 * Convert an Express path to an OpenAPI path, e.g. '/tokens/:user' to '/tokens/{user}'
+		 *
+		 * @param  {String} url Express path
+		 *
+		 * @return {String}     OpenAPI path
+		 *
+		 * @private
+		 */
+		path: function (url) {
+
+			return url.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+		},
+
+		/**
+		 * Path & query parameters of a route
+		 *
+		 * @param  {Object} route Route
+		 *
+		 * @return {Array}        Parameter objects
+		 *
+		 * @private
+		 */
+		parameters: function (route) {
+
+			var schema = route.schema || {};
+			var names = libs._.map(route.url.match(/:[A-Za-z0-9_]+/g), function (name) {
+
+				return name.slice(1);
+			});
+			var path = libs._.map(names, function (name) {
+
+				return {
+					name:		name,
+					'in':		'path',
+					required:	true,
+					schema:		(schema.params && schema.params.properties || {})[name] || { type: 'string' }
+				};
+			});
+			var query = libs._.map(schema.query && schema.query.properties, function (definition, name) {
+
+				return {
+					name:		name,
+					'in':		'query',
+					required:	libs._.contains(schema.query.required, name),
+					schema:		definition
+				};
+			});
+
+			return path.concat(query);
+		},
+
+		/**
+		 * Responses of a route: declared success responses & errors
+		 *
+		 * @param  {Object} route Route
+		 *
+		 * @return {Object}       Responses, by status code
+		 *
+		 * @private
+		 */
+		responses: function (route) {
+
+			var declared = route.schema && route.schema.responses;
+			var responses = libs._.mapObject(declared || { 200: null }, function (schema) {
+
+				var response = { description: 'Success' };
+
+				if (schema) {
+					response.content = { 'application/json': { schema: schema } };
+				}
+				return response;
+			});
+
+			responses['default'] = { $ref: '#/components/responses/Error' };
+			return responses;
+		},
+
+		/**
+		 * Operation object of a route
+		 *
+		 * @param  {Array}  inherited Permissions required by preceding wildcard routes
+		 * @param  {Object} route     Route
+		 *
+		 * @return {Object}           Operation
+		 *
+		 * @private
+		 */
+		operation: function (inherited, route) {
+
+			var permissions = libs._.uniq(inherited.concat(internals.permissions(route)));
+			var operation = {
+				operationId:	route.method + internals.path(route.url).replace(/[^A-Za-z0-9]+(.)?/g, function (match, letter) {
+
+					return letter ? letter.toUpperCase() : '';
+				}),
+				tags:			[route.controller.replace(/Controller$/, '')],
+				parameters:		internals.parameters(route),
+				responses:		internals.responses(route),
+				security:		[]
+			};
+
+			if (permissions.length > 0) {
+				operation.security = [libs._.object([internals.scheme], [permissions])];
+			}
+			if (route.schema && route.schema.body) {
+				operation.requestBody = {
+					required:	true,
+					content:	{ 'application/json': { schema: route.schema.body } }
+				};
+			}
+			return operation;
+		},
+
+		/**
+		 * Error responses: the error schema & the list of error codes
+		 *
+		 * @return {Object} Components: schemas & responses
+		 *
+		 * @private
+		 */
+		errors: function () {
+
+			var errors = libs._.pick(Errors, function (error) {
+
+				return libs._.isObject(error) && libs._.has(error, 'code');
+			});
+			var codes = libs._.map(errors, function (error, name) {
+
+				return [error.code, '(' + error.status + ')', name + ':', error.message].join(' ');
+			});
+
+			return {
+				schemas: {
+					Error: {
+						type: 'object',
+						required: ['code', 'message'],
+						properties: {
+							code:		{ type: 'integer', 'enum': libs._.pluck(errors, 'code') },
+							message:	{ type: 'string' },
+							details:	{
+								type: 'array',
+								items: {
+									type: 'object',
+									properties: {
+										field:		{ type: 'string' },
+										message:	{ type: 'string' }
+									}
+								}
+							}
+						}
+					}
+				},
+				responses: {
+					Error: {
+						description:	'Error, by code:\n\n' + codes.join('\n\n'),
+						content:		{ 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+					}
+				}
+			};
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Generate the OpenAPI document of a list of routes
+		 *
+		 * @param  {Array}  routes Registered routes, in order, see Router
+		 *
+		 * @return {Object}        OpenAPI document
+		 *
+		 * @public
+		 */
+		document: function (routes) {
+
+			var walls = [];
+			var paths = {};
+			var components = internals.errors();
+
+			libs._.each(routes, function (route) {
+
+				var base = internals.wildcard(route);
+				var inherited = libs._.chain(walls)
+					.filter(function (wall) {
+
+						return route.url.indexOf(wall.base + '/') === 0;
+					})
+					.pluck('permissions')
+					.flatten()
+					.value();
+
+				if (base !== null) {
+					walls.push({ base: base, permissions: internals.permissions(route) });
+				}
+				if (route.method === 'all') {
+					return;
+				}
+
+				paths[internals.path(route.url)] = paths[internals.path(route.url)] || {};
+				paths[internals.path(route.url)][route.method] = internals.operation(inherited, route);
+			});
+
+			components.securitySchemes = libs._.object([internals.scheme], [{
+				type:			'http',
+				scheme:			'bearer',
+				bearerFormat:	'JWT'
+			}]);
+
+			return {
+				openapi:	'3.1.0',
+				info:		{
+					title:			libs.pkg.name,
+					version:		libs.pkg.version,
+					description:	libs.pkg.description
+				},
+				paths:		paths,
+				components:	components
+			};
+		}
+	};
+
+	return api;
+
+})({
+	_:		require('underscore'),
+	pkg:	require(config.path + 'package.json')
+});
@@ -0,0 +1,220 @@
+/**
+ * Permission utilities: role expansion & wildcard scope matching. Role definitions
+ * are cached like token records (config.security.cache), changed roles evicted here
+ * & on the other instances through the token cache revocations
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Permission utilities
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Wildcard segment, e.g. 'Tokens.*' or '*'
+		 *
+		 * @type {String}
+		 */
+		wildcard: '*',
+
+		/**
+		 * Cached role records, by name: {record, expires}. Unknown roles are cached as null
+		 *
+		 * @type {Map}
+		 */
+		roles: new Map(),
+
+		/**
+		 * Merge the scope of each role into a single scope
+		 *
+		 * @param  {Array} scope Scope granted directly
+		 * @param  {Array} roles Role records
+		 *
+		 * @return {Array}       Unique list of scopes
+		 *
+		 * @private
+		 */
+		merge: function (scope, roles) {
+
+			return libs._.union.apply(libs._, [scope || []].concat(libs._.pluck(libs._.compact(roles), 'scope')));
+		},
+
+		/**
+		 * Read role records, from the cache when fresh. Roles missing from the cache
+		 * are read from the database at once & cached
+		 *
+		 * @param  {Array} names Role names
+		 *
+		 * @return {Promise}     Resolves with the role records, null for unknown roles
+		 *
+		 * @private
+		 */
+		load: function (names) {
+
+			var missing = libs._.reject(names, function (name) {
+
+				var entry = internals.roles.get(name);
+
+				return entry && entry.expires > Date.now();
+			});
+
+			if (libs._.isEmpty(missing)) {
+				return libs.Promise.resolve(libs._.map(names, internals.cached));
+			}
+			return libs.Database.list('roles', {name: {$in: missing}})
+				.then(function (records) {
+
+					var found = libs._.indexBy(records, 'name');
+
+					libs._.each(missing, function (name) {
+
+						internals.roles.set(name, {
+							record:		found[name] || null,
+							expires:	Date.now() + libs.ms(config.security.cache.ttl)
+						});
+					});
+					return libs._.map(names, internals.cached);
+				});
+		},
+
+		/**
+		 * Cached role record
+		 *
+		 * @param  {String} name Role name
+		 *
+		 * @return {Object}      Role record, null when unknown
+		 *
+		 * @private
+		 */
+		cached: function (name) {
+
+			return internals.roles.get(name).record;
+		},
+
+		/**
+		 * Evict the cached roles named by eviction filters: {role: name} or {role: {$in: names}}
+		 *
+		 * @param  {Object} filters Eviction filters, see TokenCache.subscribe
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		evict: function (filters) {
+
+			var role = filters.role;
+			var names = libs._.isObject(role) && libs._.has(role, '$in') ? role.$in : [role];
+
+			if (libs._.has(filters, 'role')) {
+				libs._.each(names, internals.roles.delete.bind(internals.roles));
+			}
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Checks whether a granted scope covers a permission.
+		 * 'Tokens.*' covers 'Tokens.Generate' & 'Tokens.List', '*' covers everything
+		 *
+		 * @param  {String}  granted    Granted scope, may end in a wildcard
+		 * @param  {String}  permission Permission to check
+		 *
+		 * @return {Boolean}            Returns true if covered
+		 *
+		 * @public
+		 */
+		matches: function (granted, permission) {
+
+			if (granted === permission || granted === internals.wildcard) {
+				return true;
+			}
+			if (libs._.last(granted.split('.')) === internals.wildcard) {
+				return permission.indexOf(granted.slice(0, -internals.wildcard.length)) === 0;
+			}
+			return false;
+		},
+
+		/**
+		 * Checks whether a list of granted scopes covers all required permissions
+		 *
+		 * @param  {Array}   scope       Granted scopes
+		 * @param  {Array}   permissions Required permissions
+		 *
+		 * @return {Boolean}             Returns true if all permissions are covered
+		 *
+		 * @public
+		 */
+		satisfies: function (scope, permissions) {
+
+			return libs._.every(permissions, function (permission) {
+
+				return libs._.some(scope, libs._.partial(api.matches, libs._, permission));
+			});
+		},
+
+		/**
+		 * Expand roles into the scopes they grant, merged with a directly granted scope.
+		 * Roles are read at verification (from the cache, when enabled), so role changes
+		 * apply to existing tokens
+		 *
+		 * @param  {Array} scope Scope granted directly
+		 * @param  {Array} roles Role names
+		 *
+		 * @return {Promise}     Resolves with the effective scope
+		 *
+		 * @public
+		 */
+		expand: function (scope, roles) {
+
+			if (libs._.isEmpty(roles)) {
+				return libs.Promise.resolve(scope || []);
+			}
+
+			if (!config.security.cache.enabled) {
+				return libs.Database.list('roles', {name: {$in: roles}})
+					.then(internals.merge.bind(this, scope));
+			}
+			return internals.load(libs._.uniq(roles))
+				.then(internals.merge.bind(this, scope));
+		},
+
+		/**
+		 * Evict a changed role from the role cache, here & on the other instances
+		 *
+		 * @param  {String} name Role name
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		invalidate: function (name) {
+
+			return libs.TokenCache.invalidate({role: name});
+		}
+	};
+
+	libs.TokenCache.subscribe(internals.evict);
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	ms:			require('ms'),
+	Promise:	require('bluebird/js/release/promise')(),
+	Database:	require(config.path + 'utilities/Database'),
+	TokenCache:	require(config.path + 'utilities/TokenCache')
+});
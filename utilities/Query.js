@@ -0,0 +1,383 @@
+/**
+ * Whitelisted query language for list endpoints built on Database.list.
+ * Only fields & operators declared in a schema are turned into database
+ * filters, values are coerced to the declared type.
+ *
+ * Syntax: ?user=bob (equals, or the field's default operator), ?user[ne]=bob, ?type[in]=request,error,
+ * ?time[gte]=2016-01-01, ?endpoint[prefix]=/tokens, plus limit,
+ * cursor or page & fields (comma separated projection). Cursors are positions
+ * in the sort order (keyset paging), so pages don't shift as rows are added
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Query parser
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Paging & projection parameters
+		 *
+		 * @type {Array}
+		 */
+		reserved: ['limit', 'cursor', 'page', 'fields'],
+
+		/**
+		 * Default page size limits
+		 *
+		 * @type {Object}
+		 */
+		limit: {
+			initial: 100,
+			maximum: 1000
+		},
+
+		/**
+		 * Value coercion, by field type. Returns undefined for invalid values
+		 *
+		 * @type {Object}
+		 */
+		types: {
+
+			string: function (value) {
+
+				return value;
+			},
+
+			number: function (value) {
+
+				var number = Number(value);
+
+				if (value !== '' && isFinite(number)) {
+					return number;
+				}
+			},
+
+			date: function (value) {
+
+				var time = libs.moment(value, libs.moment.ISO_8601, true);
+
+				if (time.isValid()) {
+					return time.format();
+				}
+			}
+		},
+
+		/**
+		 * Supported operators, converting a coerced value to a MongoDB condition
+		 *
+		 * @type {Object}
+		 */
+		operators: {
+
+			eq: function (value) {
+
+				return value;
+			},
+
+			ne: function (value) {
+
+				return { $ne: value };
+			},
+
+			gt: function (value) {
+
+				return { $gt: value };
+			},
+
+			gte: function (value) {
+
+				return { $gte: value };
+			},
+
+			lt: function (value) {
+
+				return { $lt: value };
+			},
+
+			lte: function (value) {
+
+				return { $lte: value };
+			},
+
+			'in': function (values) {
+
+				return { $in: values };
+			},
+
+			prefix: function (value) {
+
+				return { $regex: '^' + value.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&') };
+			}
+		},
+
+		/**
+		 * Row ID format, in cursors
+		 *
+		 * @type {RegExp}
+		 */
+		id: /^[0-9a-f]{24}$/,
+
+		/**
+		 * Create a query error
+		 *
+		 * @param  {String} message Details
+		 *
+		 * @return {Object}         Error object with name & message
+		 *
+		 * @private
+		 */
+		error: function (message) {
+
+			return {
+				name:		'InvalidQueryError',
+				message:	message
+			};
+		},
+
+		/**
+		 * Coerce a query value to a field type
+		 *
+		 * @param  {String} name     Field name
+		 * @param  {Object} field    Field definition
+		 * @param  {String} operator Operator name
+		 * @param  {*}      value    Query value
+		 *
+		 * @return {*}               Coerced value, a list of values for the 'in' operator
+		 *
+		 * @private
+		 */
+		coerce: function (name, field, operator, value) {
+
+			var values = operator === 'in' && libs._.isString(value) ? value.split(',') : [value];
+			var coerced = libs._.map(values, function (item) {
+
+				return libs._.isString(item) ? internals.types[field.type](item) : undefined;
+			});
+
+			if (libs._.some(coerced, libs._.isUndefined)) {
+				throw internals.error('Invalid ' + field.type + ' value for "' + name + '"');
+			}
+			return operator === 'in' ? coerced : coerced[0];
+		},
+
+		/**
+		 * Convert the query value(s) of a field to a database condition
+		 *
+		 * @param  {Object} schema Query schema
+		 * @param  {*}      value  Query value, or operator & value pairs
+		 * @param  {String} name   Field name
+		 *
+		 * @return {Object}        Database condition
+		 *
+		 * @private
+		 */
+		condition: function (schema, value, name) {
+
+			var field = schema.fields[name];
+			var pairs = libs._.isObject(value) && !libs._.isArray(value) ?
+				value : libs._.object([field ? field.operator || 'eq' : 'eq'], [value]);
+
+			if (!field) {
+				throw internals.error('Unknown field "' + name + '"');
+			}
+			if (libs._.has(pairs, 'eq') && libs._.size(pairs) > 1) {
+				throw internals.error('"eq" can\'t be combined with other operators for "' + name + '"');
+			}
+
+			return libs._.reduce(pairs, function (condition, operand, operator) {
+
+				if (!libs._.contains(field.operators, operator) || !libs._.has(internals.operators, operator)) {
+					throw internals.error('Operator "' + operator + '" is not allowed for "' + name + '"');
+				}
+
+				var result = internals.operators[operator](internals.coerce(name, field, operator, operand));
+
+				if (!libs._.isObject(result) || libs._.isArray(result)) {
+					return result;
+				}
+				return libs._.extend(libs._.isObject(condition) ? condition : {}, result);
+			}, undefined);
+		},
+
+		/**
+		 * Build database filters from the query
+		 *
+		 * @param  {Object} query  Request query
+		 * @param  {Object} schema Query schema
+		 *
+		 * @return {Object}        Filters
+		 *
+		 * @private
+		 */
+		filters: function (query, schema) {
+
+			var values = libs._.omit(query, internals.reserved);
+
+			return libs._.mapObject(values, libs._.partial(internals.condition, schema));
+		},
+
+		/**
+		 * Decode a cursor: the position of the last row of the previous page in the
+		 * sort order, as base64url encoded JSON with a value for every sort field
+		 *
+		 * @param  {String} cursor Cursor
+		 * @param  {Object} sort   Sort options, ending with _id
+		 *
+		 * @return {Object}        Position, for the after option of Database.list
+		 *
+		 * @private
+		 */
+		position: function (cursor, sort) {
+
+			var position;
+
+			try {
+				position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+			} catch (error) {
+				throw internals.error('Invalid cursor');
+			}
+
+			if (!libs._.isObject(position) || libs._.isArray(position) ||
+				!libs._.isEqual(libs._.keys(position).sort(), libs._.keys(sort).sort()) ||
+				!libs._.every(position, function (value) { return libs._.isString(value) || libs._.isNumber(value); }) ||
+				!internals.id.test(position._id)) {
+				throw internals.error('Invalid cursor');
+			}
+			return position;
+		},
+
+		/**
+		 * Build paging & projection options from the query. A cursor is a
+		 * position in the sort order, a page is a 1-based page number
+		 *
+		 * @param  {Object} query  Request query
+		 * @param  {Object} schema Query schema
+		 *
+		 * @return {Object}        Options: skip or after (position), limit & projection
+		 *
+		 * @private
+		 */
+		options: function (query, schema) {
+
+			var limits = libs._.defaults({}, schema.limit, internals.limit);
+			var limit = libs._.has(query, 'limit') ? Number(query.limit) : limits.initial;
+			var skip = 0;
+			var fields = [];
+			var options = {};
+
+			if (!libs._.every(libs._.pick(query, internals.reserved), libs._.isString)) {
+				throw internals.error('Paging & projection parameters must be single values');
+			}
+			if (!(limit >= 1 && limit <= limits.maximum && limit % 1 === 0)) {
+				throw internals.error('Limit must be between 1 and ' + limits.maximum);
+			}
+			if (query.cursor && !schema.sort) {
+				throw internals.error('Cursors are not supported');
+			}
+			if (query.cursor) {
+				options.after = internals.position(query.cursor, schema.sort);
+			} else if (query.page) {
+				skip = (Number(query.page) - 1) * limit;
+			}
+			if (!(skip >= 0 && skip % 1 === 0)) {
+				throw internals.error('Invalid cursor or page');
+			}
+			if (query.fields) {
+				fields = libs._.compact(query.fields.split(','));
+				if (libs._.difference(fields, schema.projection).length > 0) {
+					throw internals.error('Unknown fields in projection');
+				}
+				options.projection = libs._.object(fields, libs._.map(fields, libs._.constant(1)));
+			}
+
+			options.skip = skip;
+			options.limit = limit;
+			return options;
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Parse & sanitize a request query, based on a schema:
+		 * {
+		 *   fields: {
+		 *     user: { type: 'string', operators: ['eq', 'in'] },
+		 *     endpoint: { type: 'string', operators: ['prefix'], operator: 'prefix' }
+		 *   },
+		 *   aliases: { from: ['time', 'gte'] },
+		 *   projection: ['user', 'time'],
+		 *   limit: { initial: 100, maximum: 1000 },
+		 *   sort: { time: -1, _id: -1 }
+		 * }
+		 *
+		 * @param  {Object} query  Request query
+		 * @param  {Object} schema Query schema
+		 *
+		 * @return {Promise}       Resolves with filters, sort & options (skip or after, limit & projection)
+		 *                         for Database.list, rejects with an InvalidQueryError
+		 *
+		 * @public
+		 */
+		parse: function (query, schema) {
+
+			return libs.Promise.try(function () {
+
+				var expanded = libs._.omit(query || {}, libs._.keys(schema.aliases));
+
+				libs._.each(libs._.pick(query || {}, libs._.keys(schema.aliases)), function (value, alias) {
+
+					var target = schema.aliases[alias];
+					var current = expanded[target[0]];
+
+					if (libs._.has(expanded, target[0]) && (!libs._.isObject(current) || libs._.isArray(current))) {
+						throw internals.error('"' + alias + '" conflicts with "' + target[0] + '"');
+					}
+					expanded[target[0]] = libs._.extend({}, current, libs._.object([target[1]], [value]));
+				});
+
+				return {
+					filters:	internals.filters(expanded, schema),
+					sort:		schema.sort,
+					options:	internals.options(query || {}, schema)
+				};
+			});
+		},
+
+		/**
+		 * Encode a paging cursor, URL safe
+		 *
+		 * @param  {Object} row  Last row of the page, with its _id
+		 * @param  {Object} sort Sort options
+		 *
+		 * @return {String}      Opaque cursor
+		 *
+		 * @public
+		 */
+		cursor: function (row, sort) {
+
+			return Buffer.from(JSON.stringify(libs._.pick(row, libs._.keys(sort)))).toString('base64url');
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	moment:		require('moment'),
+	Promise:	require('bluebird/js/release/promise')()
+});
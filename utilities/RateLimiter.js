@@ -0,0 +1,517 @@
+/**
+ * Rate limiting, per IP, per token (based on its scope), per route and for
+ * repeated authentication failures. Requests are counted in fixed windows and
+ * limited with a sliding window estimate: the previous window count, weighted
+ * by its remaining overlap, plus the current window count. Counters are kept
+ * in memory (per instance) or in the database (shared by instances)
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Rate limiting middleware
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Counter stores, selected by config.limits.store
+		 *
+		 * @type {Object}
+		 */
+		stores: {
+
+			memory: {
+
+				/**
+				 * Counters, by key & window start
+				 *
+				 * @type {Object}
+				 */
+				counters: {},
+
+				/**
+				 * Add a request to a window
+				 *
+				 * @param  {String} key     Counter key
+				 * @param  {Number} start   Window start time
+				 * @param  {Number} expires Time after which the counter can be removed
+				 *
+				 * @return {Promise}        Resolves with the window count
+				 *
+				 * @private
+				 */
+				increment: function (key, start, expires) {
+
+					var counters = internals.stores.memory.counters;
+					var id = key + '@' + start;
+
+					counters[id] = counters[id] || {count: 0, expires: expires};
+					counters[id].count += 1;
+					return libs.Promise.resolve(counters[id].count);
+				},
+
+				/**
+				 * Read the count of a window
+				 *
+				 * @param  {String} key   Counter key
+				 * @param  {Number} start Window start time
+				 *
+				 * @return {Promise}      Resolves with the window count
+				 *
+				 * @private
+				 */
+				get: function (key, start) {
+
+					var counter = internals.stores.memory.counters[key + '@' + start];
+
+					return libs.Promise.resolve(counter ? counter.count : 0);
+				},
+
+				/**
+				 * Read the count of a closed window
+				 *
+				 * @param  {String} key     Counter key
+				 * @param  {Number} start   Window start time
+				 *
+				 * @return {Promise}        Resolves with the window count
+				 *
+				 * @private
+				 */
+				previous: function (key, start) {
+
+					return internals.stores.memory.get(key, start);
+				},
+
+				/**
+				 * Prepare the store
+				 *
+				 * @return {Promise}
+				 *
+				 * @private
+				 */
+				prepare: function () {
+
+					return libs.Promise.resolve();
+				},
+
+				/**
+				 * Remove expired counters
+				 *
+				 * @param  {Number} now Current time
+				 *
+				 * @return {Promise}
+				 *
+				 * @private
+				 */
+				clean: function (now) {
+
+					internals.stores.memory.counters = libs._.omit(internals.stores.memory.counters, function (counter) {
+
+						return counter.expires < now;
+					});
+					return libs.Promise.resolve();
+				}
+			},
+
+			// Same functions as the memory store, counters are rows of the limits collection,
+			// unique by key & window. Closed windows no longer change, so their counts are
+			// read once per instance & kept until they expire
+			database: {
+
+				closed: {},
+
+				increment: function (key, start, expires) {
+
+					var increment = libs.Database.increment.bind(libs.Database, 'limits', {key: key, start: start}, {count: 1}, {expires: expires});
+
+					// Concurrent upserts of a new counter: the losing one fails on the unique index & is retried
+					return increment()
+						.catch(internals.duplicate, increment)
+						.then(libs._.property('count'));
+				},
+
+				get: function (key, start) {
+
+					return libs.Database.list('limits', {key: key, start: start})
+						.then(libs._.first)
+						.then(function (row) {
+
+							return row ? row.count : 0;
+						});
+				},
+
+				previous: function (key, start, expires) {
+
+					var closed = internals.stores.database.closed;
+					var id = key + '@' + start;
+
+					if (!closed[id]) {
+						closed[id] = {
+							count:		internals.stores.database.get(key, start).tapCatch(function () {
+
+								delete closed[id];
+							}),
+							expires:	expires
+						};
+					}
+					return closed[id].count;
+				},
+
+				prepare: function () {
+
+					return libs.Database.index('limits', {key: 1, start: 1}, {unique: true});
+				},
+
+				clean: function (now) {
+
+					internals.stores.database.closed = libs._.omit(internals.stores.database.closed, function (entry) {
+
+						return entry.expires < now;
+					});
+					return libs.Database.remove('limits', {expires: {$lt: now}});
+				}
+			}
+		},
+
+		/**
+		 * Selected counter store
+		 *
+		 * @type {Object}
+		 */
+		store: null,
+
+		/**
+		 * Routes exempt from rate limits (declared with 'limited: false'), by method & URL
+		 *
+		 * @type {Object}
+		 */
+		exempt: {},
+
+		/**
+		 * Checks whether an error is a MongoDB duplicate key error
+		 *
+		 * @param  {Error}   error Error
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		duplicate: function (error) {
+
+			return error.code === 11000 || error.code === 11001;
+		},
+
+		/**
+		 * Identify the client of a request: its token when authenticated, its IP otherwise
+		 *
+		 * @param  {Object} request Request
+		 *
+		 * @return {String}         Client identity
+		 *
+		 * @private
+		 */
+		identity: function (request) {
+
+			return request.token && request.token.jti ? 'token:' + request.token.jti : 'ip:' + request.ip;
+		},
+
+		/**
+		 * Estimate the number of requests in the sliding window ending now
+		 *
+		 * @param  {String}  key       Counter key
+		 * @param  {Number}  limit     Maximum number of requests per window
+		 * @param  {String}  window    Window length, e.g. '1 minute'
+		 * @param  {Boolean} increment Count the current request
+		 *
+		 * @return {Promise}           Resolves with the limit state: limit, remaining, reset & exceeded
+		 *
+		 * @private
+		 */
+		consume: function (key, limit, window, increment) {
+
+			var now = Date.now();
+			var length = libs.ms(window);
+			var start = now - now % length;
+			var current = increment ?
+				internals.store.increment(key, start, start + 2 * length) : internals.store.get(key, start);
+
+			return libs.Promise.all([current, internals.store.previous(key, start - length, start + length)])
+				.spread(function (count, previous) {
+
+					var estimate = Math.floor(previous * (length - (now - start)) / length) + count;
+
+					return {
+						limit:		limit,
+						remaining:	Math.max(limit - estimate, 0),
+						reset:		start + length,
+						exceeded:	increment ? estimate > limit : estimate >= limit
+					};
+				});
+		},
+
+		/**
+		 * Add the rate limit headers of the most restrictive limit applied to a request
+		 *
+		 * @param  {Object} request  Request
+		 * @param  {Object} response Response
+		 * @param  {Object} state    Limit state
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		headers: function (request, response, state) {
+
+			if (request.rateLimit && request.rateLimit.remaining <= state.remaining) {
+				return;
+			}
+
+			request.rateLimit = state;
+			response.set({
+				'X-RateLimit-Limit':		String(state.limit),
+				'X-RateLimit-Remaining':	String(state.remaining),
+				'X-RateLimit-Reset':		String(Math.ceil(state.reset / 1000))
+			});
+		},
+
+		/**
+		 * Let a request through or refuse it with a RateLimitError
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 * @param  {Boolean}  headers  Add the rate limit headers
+		 * @param  {Object}   state    Limit state
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		verdict: function (request, response, next, headers, state) {
+
+			if (headers) {
+				internals.headers(request, response, state);
+			}
+			if (state.exceeded) {
+				response.set('Retry-After', String(Math.max(Math.ceil((state.reset - Date.now()) / 1000), 1)));
+				next({name: 'RateLimitError'});
+			} else {
+				next();
+			}
+		},
+
+		/**
+		 * Create a rate limiting middleware
+		 *
+		 * @param  {Function} resolve Returns the key, limit & window for a request, null when not limited
+		 *
+		 * @return {Function}         Middleware function
+		 *
+		 * @private
+		 */
+		limiter: function (resolve) {
+
+			return function (request, response, next) {
+
+				var settings = resolve(request);
+
+				if (!settings) {
+					return next();
+				}
+				internals.consume(settings.key, settings.limit, settings.window, true)
+					.then(internals.verdict.bind(this, request, response, next, true))
+					.catch(next);
+			};
+		},
+
+		/**
+		 * Per token limit: the highest of the default limit &
+		 * the limits of the scopes covered by the token
+		 *
+		 * @param  {Object} request Request
+		 *
+		 * @return {Object}         Key, limit & window
+		 *
+		 * @private
+		 */
+		token: function (request) {
+
+			var limits = libs._.filter(config.limits.scopes, function (limit, scope) {
+
+				return libs.Permissions.satisfies(request.scope, [scope]);
+			});
+
+			return {
+				key:	internals.identity(request),
+				limit:	libs._.max([config.limits.token].concat(limits)),
+				window:	config.limits.window
+			};
+		},
+
+		/**
+		 * Per IP limit, except for exempt routes
+		 *
+		 * @param  {Object} request Request
+		 *
+		 * @return {Object}         Key, limit & window, null when exempt
+		 *
+		 * @private
+		 */
+		ip: function (request) {
+
+			if (internals.exempt[[request.method.toLowerCase(), request.path].join(' ')]) {
+				return null;
+			}
+			return {
+				key:	'ip:' + request.ip,
+				limit:	config.limits.ip,
+				window:	config.limits.window
+			};
+		},
+
+		/**
+		 * Remove expired counters
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		clean: function () {
+
+			internals.store.clean(Date.now())
+				.catch(libs.console.warn.bind(libs.console, 'Rate limit cleanup failed:'));
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Limit requests per IP, config.limits.ip per window
+		 *
+		 * @type {Function}
+		 *
+		 * @public
+		 */
+		ip: internals.limiter(internals.ip),
+
+		/**
+		 * Limit requests per token, config.limits.token per window or
+		 * the highest limit of config.limits.scopes covered by the token
+		 *
+		 * @type {Function}
+		 *
+		 * @public
+		 */
+		token: internals.limiter(internals.token),
+
+		/**
+		 * Middleware limiting a route, per token or IP, as configured in
+		 * config.limits.routes, e.g. {'post /tokens/:user': {requests: 30, window: '1 minute'}}.
+		 * Routes declared with 'limited: false' (e.g. health probes) are exempt from every limit
+		 *
+		 * @param  {Object} route Route w/ URL, method and actions
+		 *
+		 * @return {Array}        Middleware functions, empty when the route isn't limited
+		 *
+		 * @public
+		 */
+		route: function (route) {
+
+			var name = [route.method, route.url].join(' ');
+			var settings = config.limits.routes[name];
+
+			if (route.limited === false) {
+				internals.exempt[name] = true;
+				return [];
+			}
+			if (!settings) {
+				return [];
+			}
+			return [internals.limiter(function (request) {
+
+				return {
+					key:	'route:' + name + ':' + internals.identity(request),
+					limit:	settings.requests,
+					window:	settings.window || config.limits.window
+				};
+			})];
+		},
+
+		/**
+		 * Refuse requests from IPs with too many recent authentication failures
+		 *
+		 * @param  {Object}   request  Request
+		 * @param  {Object}   response Response
+		 * @param  {Function} next     Next handler
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		guard: function (request, response, next) {
+
+			var settings = config.limits.authentication;
+
+			internals.consume('auth:' + request.ip, settings.failures, settings.window, false)
+				.then(internals.verdict.bind(this, request, response, next, false))
+				.catch(next);
+		},
+
+		/**
+		 * Record an authentication failure of a request's IP
+		 *
+		 * @param  {Object} request Request
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		failure: function (request) {
+
+			var settings = config.limits.authentication;
+
+			internals.consume('auth:' + request.ip, settings.failures, settings.window, true)
+				.catch(libs.console.warn.bind(libs.console, 'Recording authentication failure failed:'));
+		},
+
+		/**
+		 * Prepare the counter store & schedule the removal of expired counters, every window
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		start: function () {
+
+			setInterval(internals.clean, libs.ms(config.limits.window)).unref();
+			return internals.store.prepare()
+				.catch(libs.console.warn.bind(libs.console, 'Preparing the rate limit store failed:'));
+		}
+	};
+
+	if (!libs._.has(internals.stores, config.limits.store)) {
+		throw new Error('Unknown rate limit store "' + config.limits.store + '"');
+	}
+	internals.store = internals.stores[config.limits.store];
+	return api;
+
+})({
+	_:				require('underscore'),
+	ms:				require('ms'),
+	Promise:		require('bluebird/js/release/promise')(),
+	console:		require(config.path + 'utilities/Console'),
+	Database:		require(config.path + 'utilities/Database'),
+	Permissions:	require(config.path + 'utilities/Permissions')
+});
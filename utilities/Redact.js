@@ -0,0 +1,153 @@
+/**
+ * Redaction of secrets & sensitive fields before they are logged
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Redaction utilities
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Checks whether a field path matches a configured path. Paths without dots
+		 * match a field name at any depth, dotted paths match from the root and
+		 * may use '*' for any single field, e.g. 'credentials.*.secret'
+		 *
+		 * @param  {Array}   path    Field path, as a list of names
+		 * @param  {String}  pattern Configured path
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		matches: function (path, pattern) {
+
+			var segments = pattern.split('.');
+
+			if (segments.length === 1) {
+				return String(libs._.last(path)).toLowerCase() === pattern.toLowerCase();
+			}
+			return segments.length === path.length && libs._.every(segments, function (segment, index) {
+
+				return segment === '*' || segment.toLowerCase() === String(path[index]).toLowerCase();
+			});
+		},
+
+		/**
+		 * Mask configured fields, recursively
+		 *
+		 * @param  {*}     value Value
+		 * @param  {Array} path  Field path of the value
+		 *
+		 * @return {*}           Copy with masked fields
+		 *
+		 * @private
+		 */
+		mask: function (value, path) {
+
+			if (path.length > 0 && libs._.some(config.logs.redact.paths, libs._.partial(internals.matches, path))) {
+				return config.logs.redact.mask;
+			}
+			if (libs._.isArray(value)) {
+				return libs._.map(value, function (item, index) {
+
+					return internals.mask(item, path.concat(index));
+				});
+			}
+			if (libs._.isObject(value)) {
+				return libs._.mapObject(value, function (item, key) {
+
+					return internals.mask(item, path.concat(key));
+				});
+			}
+			return value;
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Replace a token (or Authorization header) with its fingerprint & jti
+		 *
+		 * @param  {String} authorization Token, optionally prefixed with 'Bearer '
+		 *
+		 * @return {Object|String}        Fingerprint & jti, or an empty string when there is no token
+		 *
+		 * @public
+		 */
+		token: function (authorization) {
+
+			var token = libs._.isString(authorization) ? libs._.last(authorization.split(' ')) : '';
+			var decoded = token ? libs.jwt.decode(token) : null;
+
+			if (!token) {
+				return '';
+			}
+			return {
+				fingerprint:	libs.crypto.createHash('sha256').update(token).digest('hex').slice(0, 16),
+				jti:			decoded && decoded.jti ? decoded.jti : ''
+			};
+		},
+
+		/**
+		 * Mask sensitive fields of a payload & truncate large payloads
+		 *
+		 * @param  {*} payload Request body or other payload
+		 *
+		 * @return {*}         Redacted copy
+		 *
+		 * @public
+		 */
+		payload: function (payload) {
+
+			var masked = internals.mask(payload, []);
+			var serialized = JSON.stringify(masked) || '';
+
+			if (serialized.length > config.logs.redact.length) {
+				return {
+					truncated:	true,
+					size:		serialized.length,
+					preview:	serialized.slice(0, config.logs.redact.length)
+				};
+			}
+			return masked;
+		},
+
+		/**
+		 * Redact a log entry: token & payload
+		 *
+		 * @param  {Object} entry Log entry
+		 *
+		 * @return {Object}       Redacted copy
+		 *
+		 * @public
+		 */
+		entry: function (entry) {
+
+			return libs._.extend({}, entry, {
+				token:		libs._.isString(entry.token) ? api.token(entry.token) : entry.token,
+				payload:	api.payload(entry.payload)
+			});
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	jwt:		require('jsonwebtoken'),
+	crypto:		require('crypto')
+});
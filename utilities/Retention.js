@@ -0,0 +1,429 @@
+/**
+ * Retention: log entries older than the retention period of their type, and
+ * tokens revoked longer than config.security.retention ago, are archived to
+ * gzip'd NDJSON files on local disk, then removed from the database
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Retention job
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Number of entries read from the database at a time
+		 *
+		 * @type {Number}
+		 */
+		batch: 1000,
+
+		/**
+		 * Scheduled sweep timer
+		 *
+		 * @type {Object}
+		 */
+		timer: null,
+
+		/**
+		 * Sweep in progress, if any
+		 *
+		 * @type {Promise}
+		 */
+		running: null,
+
+		/**
+		 * Outcome of the last sweep
+		 *
+		 * @type {Object}
+		 */
+		last: null,
+
+		/**
+		 * Sources of expiring rows: log entries, by type, & revoked tokens
+		 *
+		 * @return {Array} Sources: collection, type, retention, rows to match & time field
+		 *
+		 * @private
+		 */
+		sources: function () {
+
+			var logs = libs._.map(config.logs.retention, function (retention, type) {
+
+				return {
+					collection:	'logs',
+					type:		type,
+					retention:	retention,
+					match:		{ type: type },
+					field:		'time'
+				};
+			});
+
+			return logs.concat({
+				collection:	'tokens',
+				type:		'revoked',
+				retention:	config.security.retention,
+				match:		{ status: 'revoked' },
+				field:		'changed'
+			});
+		},
+
+		/**
+		 * Filters selecting the expired rows of a source
+		 *
+		 * @param  {Object} source Source
+		 * @param  {String} cutoff Rows older than this time are expired
+		 *
+		 * @return {Object}        Filters
+		 *
+		 * @private
+		 */
+		filters: function (source, cutoff) {
+
+			var filters = libs._.clone(source.match);
+
+			filters[source.field] = { $lt: cutoff };
+			return filters;
+		},
+
+		/**
+		 * Create the archive directory, if missing
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		prepare: function () {
+
+			libs.fs.mkdirSync(libs.path.resolve(config.path, config.logs.archive), {recursive: true});
+		},
+
+		/**
+		 * Create an archive file for a source, e.g. logs-request-[time]-[random].ndjson.gz.
+		 * Names are unique & existing files are never overwritten (a name taken
+		 * anyway fails the sweep). Stream errors (e.g. EEXIST, EACCES, ENOSPC)
+		 * are recorded as soon as they occur, failing the next batch & the close
+		 *
+		 * @param  {Object} result Sweep result of the source: collection & type
+		 *
+		 * @return {Object}        Archive with file name, gzip & file streams, completion promise
+		 *
+		 * @private
+		 */
+		archive: function (result) {
+
+			var directory = libs.path.resolve(config.path, config.logs.archive);
+			var name = [result.collection, result.type, libs.moment().format('YYYYMMDDHHmmss'), libs.crypto.randomBytes(4).toString('hex')];
+			var file = libs.path.join(directory, name.join('-') + '.ndjson.gz');
+			var gzip = libs.zlib.createGzip();
+			var stream = libs.fs.createWriteStream(file, {flags: 'wx'});
+			var archive = {
+				file:	file,
+				gzip:	gzip,
+				stream:	stream,
+				error:	null
+			};
+
+			archive.done = new libs.Promise(function (resolve, reject) {
+
+				stream.on('finish', resolve);
+				stream.on('error', reject);
+				gzip.on('error', reject);
+			});
+			archive.done.catch(function (error) {
+
+				archive.error = error;
+			});
+
+			gzip.pipe(stream);
+			return archive;
+		},
+
+		/**
+		 * Close an archive file
+		 *
+		 * @param  {Object} archive Archive
+		 *
+		 * @return {Promise}        Resolves when the file is written
+		 *
+		 * @private
+		 */
+		close: function (archive) {
+
+			archive.gzip.end();
+			return archive.done;
+		},
+
+		/**
+		 * Discard a failed archive, releasing its file
+		 *
+		 * @param  {Object} archive Archive
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		discard: function (archive) {
+
+			archive.gzip.destroy();
+			archive.stream.destroy();
+		},
+
+		/**
+		 * Wait until the gzip stream accepts more data, unless it already does
+		 *
+		 * @param  {Object}  archive Archive
+		 * @param  {Boolean} flowing Whether the last write was accepted without buffering
+		 *
+		 * @return {Promise}         Resolves when more data can be written, rejects on stream errors
+		 *
+		 * @private
+		 */
+		drain: function (archive, flowing) {
+
+			if (flowing) {
+				return libs.Promise.resolve();
+			}
+			return libs.Promise.race([
+				new libs.Promise(function (resolve) {
+
+					archive.gzip.once('drain', resolve);
+				}),
+				archive.done
+			]);
+		},
+
+		/**
+		 * Write expired rows to an archive, a batch at a time
+		 *
+		 * @param  {Object} archive    Archive
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters selecting expired rows
+		 * @param  {Number} skip       Number of rows already archived
+		 *
+		 * @return {Promise}           Resolves with the number of archived rows
+		 *
+		 * @private
+		 */
+		write: function (archive, collection, filters, skip) {
+
+			var sort = {
+				time: 1,
+				_id: 1
+			};
+			var options = {
+				skip: skip,
+				limit: internals.batch
+			};
+
+			if (archive.error) {
+				return libs.Promise.reject(archive.error);
+			}
+			return libs.Promise.resolve(libs.Database.list(collection, filters, sort, options))
+				.then(internals.append.bind(this, archive, collection, filters, skip));
+		},
+
+		/**
+		 * Append a batch of rows to an archive, as NDJSON,
+		 * and continue with the next batch, if any
+		 *
+		 * @param  {Object} archive    Archive
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters selecting expired rows
+		 * @param  {Number} skip       Number of rows already archived
+		 * @param  {Array}  rows       Batch of rows
+		 *
+		 * @return {Promise|Number}    Resolves with the number of archived rows
+		 *
+		 * @private
+		 */
+		append: function (archive, collection, filters, skip, rows) {
+
+			var flowing = libs._.reduce(rows, function (flowing, row) {
+
+				return archive.gzip.write(JSON.stringify(row) + '\n') && flowing;
+			}, true);
+
+			if (rows.length < internals.batch) {
+				return skip + rows.length;
+			}
+			return internals.drain(archive, flowing)
+				.then(internals.write.bind(this, archive, collection, filters, skip + rows.length));
+		},
+
+		/**
+		 * Archive & remove the expired rows of a source
+		 *
+		 * @param  {Object} source Source
+		 *
+		 * @return {Promise}       Resolves with the sweep result for the source
+		 *
+		 * @private
+		 */
+		sweep: function (source) {
+
+			var cutoff = libs.moment().subtract(libs.ms(source.retention), 'ms').format();
+			var filters = internals.filters(source, cutoff);
+			var result = {
+				collection:	source.collection,
+				type:		source.type,
+				cutoff:		cutoff,
+				archived:	0,
+				file:		null
+			};
+
+			return libs.Promise.resolve(libs.Database.count(source.collection, filters))
+				.then(internals.expire.bind(this, filters, result));
+		},
+
+		/**
+		 * Archive the expired rows, then remove them. Nothing is removed
+		 * unless the archive file was written completely, without errors
+		 *
+		 * @param  {Object} filters Filters selecting expired rows
+		 * @param  {Object} result  Sweep result for the source
+		 * @param  {Number} total   Number of expired rows
+		 *
+		 * @return {Promise|Object} Resolves with the sweep result for the source
+		 *
+		 * @private
+		 */
+		expire: function (filters, result, total) {
+
+			if (total === 0) {
+				return result;
+			}
+
+			var archive = internals.archive(result);
+
+			return internals.write(archive, result.collection, filters, 0)
+				.tap(internals.close.bind(this, archive))
+				.tapCatch(internals.discard.bind(this, archive))
+				.then(function (archived) {
+
+					result.archived = archived;
+					result.file = archive.file;
+					return libs.Database.remove(result.collection, filters);
+				})
+				.then(libs._.constant(result));
+		},
+
+		/**
+		 * Record the outcome of a sweep
+		 *
+		 * @param  {String} started Start time
+		 * @param  {Array}  results Sweep results, per source
+		 * @param  {Error}  error   Error, if the sweep failed
+		 *
+		 * @return {Object}         Outcome
+		 *
+		 * @private
+		 */
+		finish: function (started, results, error) {
+
+			internals.running = null;
+			internals.last = {
+				started:	started,
+				finished:	libs.moment().format(),
+				results:	results || [],
+				error:		error ? error.message : null
+			};
+
+			libs.console.save({
+				type:		'operation',
+				user:		'retention',
+				ip:			config.ip,
+				method:		'JOB',
+				endpoint:	'retention',
+				payload:	internals.last.results
+			}, internals.last.error || 'Retention sweep completed');
+
+			return internals.last;
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Archive & remove expired log entries of every configured type & expired revoked tokens.
+		 * Only one sweep runs at a time
+		 *
+		 * @return {Promise} Resolves with the sweep outcome
+		 *
+		 * @public
+		 */
+		run: function () {
+
+			var started = libs.moment().format();
+
+			if (internals.running) {
+				return internals.running;
+			}
+
+			internals.running = libs.Promise.try(internals.prepare)
+				.then(internals.sources)
+				.mapSeries(internals.sweep)
+				.then(internals.finish.bind(this, started))
+				.catch(internals.finish.bind(this, started, null));
+
+			return internals.running;
+		},
+
+		/**
+		 * Schedule sweeps, every config.logs.interval
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		start: function () {
+
+			internals.timer = setInterval(api.run, libs.ms(config.logs.interval));
+			internals.timer.unref();
+		},
+
+		/**
+		 * Retention job status
+		 *
+		 * @return {Object} Configuration, running state & last outcome
+		 *
+		 * @public
+		 */
+		status: function () {
+
+			return {
+				retention:	libs._.extend({}, config.logs.retention, {tokens: config.security.retention}),
+				interval:	config.logs.interval,
+				archive:	libs.path.resolve(config.path, config.logs.archive),
+				running:	!!internals.running,
+				last:		internals.last
+			};
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	fs:			require('fs'),
+	ms:			require('ms'),
+	crypto:		require('crypto'),
+	path:		require('path'),
+	zlib:		require('zlib'),
+	moment:		require('moment'),
+	Promise:	require('bluebird/js/release/promise')(),
+	console:	require(config.path + 'utilities/Console'),
+	Database:	require(config.path + 'utilities/Database')
+});
@@ -0,0 +1,217 @@
+/**
+ * Controller discovery & route registry. Every module in the controllers
+ * directory exporting a routes array is registered, ordered by its 'order'
+ * (default 100, then by file name). Controllers may export a URL 'prefix'
+ * and an API 'version', e.g. version 1 & prefix '/reports' serve '/items'
+ * at '/v1/reports/items'. Routes may declare JSON Schemas for their body,
+ * params & query, validated after their permission guards (so callers without
+ * the permissions don't learn the schemas) & before their other actions, see Validator
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Router
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Default controller order
+		 *
+		 * @type {Number}
+		 */
+		order: 100,
+
+		/**
+		 * Registered routes
+		 *
+		 * @type {Array}
+		 */
+		registry: [],
+
+		/**
+		 * Load a controller module
+		 *
+		 * @param  {String} directory Controllers directory
+		 * @param  {String} file      File name
+		 *
+		 * @return {Object}           Controller name, order, prefix, version & module
+		 *
+		 * @private
+		 */
+		load: function (directory, file) {
+
+			var controller = require(libs.path.join(directory, file));
+
+			return {
+				name:		libs.path.basename(file, '.js'),
+				order:		libs._.isNumber(controller.order) ? controller.order : internals.order,
+				prefix:		controller.prefix || '',
+				version:	controller.version,
+				module:		controller
+			};
+		},
+
+		/**
+		 * Full URL of a controller route, with version & prefix
+		 *
+		 * @param  {Object} controller Controller
+		 * @param  {Object} route      Route
+		 *
+		 * @return {String}            URL
+		 *
+		 * @private
+		 */
+		url: function (controller, route) {
+
+			var base = (controller.version ? '/v' + controller.version : '') + controller.prefix;
+
+			if (!base) {
+				return route.url;
+			}
+			return base + (route.url === '*' ? '/*' : route.url);
+		},
+
+		/**
+		 * Checks whether two routes handle the same requests
+		 *
+		 * @param  {Object}  route    Route
+		 * @param  {Object}  existing Registered route
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		conflicts: function (route, existing) {
+
+			return route.url === existing.url &&
+				(route.method === existing.method || route.method === 'all' || existing.method === 'all');
+		},
+
+		/**
+		 * Actions of a route, with the schema validation after the permission
+		 * guards (the actions listing permissions, see Security.require)
+		 *
+		 * @param  {Object} route Route
+		 *
+		 * @return {Array}        Actions
+		 *
+		 * @private
+		 */
+		actions: function (route) {
+
+			var guards = libs._.findLastIndex(route.actions, 'permissions') + 1;
+
+			if (!route.schema) {
+				return route.actions;
+			}
+			return route.actions.slice(0, guards)
+				.concat([libs.Validator.validate(route.schema)], route.actions.slice(guards));
+		},
+
+		/**
+		 * Add a route to the registry, warning about conflicting routes
+		 *
+		 * @param  {Object} route Route w/ URL, method, actions & controller name
+		 *
+		 * @return {Object}       Route
+		 *
+		 * @private
+		 */
+		add: function (route) {
+
+			libs._.each(libs._.filter(internals.registry, libs._.partial(internals.conflicts, route)), function (existing) {
+
+				libs.console.warn('Route conflict:', route.method, route.url, 'of', route.controller,
+					'is already handled by', existing.method, existing.url, 'of', existing.controller);
+			});
+			internals.registry.push(route);
+			return route;
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Register the routes of a controller
+		 *
+		 * @param  {Object} controller Controller name, prefix, version & module
+		 *
+		 * @return {Array}             Registered routes
+		 *
+		 * @public
+		 */
+		register: function (controller) {
+
+			return libs._.map(controller.module.routes, function (route) {
+
+				return internals.add(libs._.extend({}, route, {
+					url:		internals.url(controller, route),
+					actions:	internals.actions(route),
+					controller:	controller.name
+				}));
+			});
+		},
+
+		/**
+		 * Discover & register the controllers of a directory
+		 *
+		 * @param  {String} directory Controllers directory
+		 *
+		 * @return {Array}            Registered routes, in order
+		 *
+		 * @public
+		 */
+		discover: function (directory) {
+
+			var controllers = libs._.chain(libs.fs.readdirSync(directory))
+				.filter(function (file) {
+
+					return libs.path.extname(file) === '.js';
+				})
+				.sort()
+				.map(libs._.partial(internals.load, directory))
+				.filter(function (controller) {
+
+					return libs._.isArray(controller.module.routes);
+				})
+				.sortBy('order')
+				.value();
+
+			return libs._.flatten(libs._.map(controllers, api.register), true);
+		},
+
+		/**
+		 * Registered routes
+		 *
+		 * @return {Array} Routes w/ URL, method, actions & controller name
+		 *
+		 * @public
+		 */
+		routes: function () {
+
+			return internals.registry.slice();
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	fs:			require('fs'),
+	path:		require('path'),
+	console:	require(config.path + 'utilities/Console'),
+	Validator:	require(config.path + 'utilities/Validator')
+});
@@ -0,0 +1,280 @@
+/**
+ * In-process cache of token records, by jti, sparing a database query per
+ * request. Unknown tokens are cached too (as null). Entries expire
+ * after config.security.cache.ttl; changed tokens are evicted immediately,
+ * on this instance & (by polling the revocations collection) on every other
+ * instance. Hits & misses are counted in the metrics
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Token cache
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Cached records, by jti, in insertion order: {record, expires}
+		 *
+		 * @type {Map}
+		 */
+		entries: new Map(),
+
+		/**
+		 * Listeners told of evictions, see subscribe
+		 *
+		 * @type {Array}
+		 */
+		listeners: [],
+
+		/**
+		 * ID of this instance, to skip its own revocations when polling
+		 *
+		 * @type {String}
+		 */
+		instance: libs.crypto.randomBytes(8).toString('hex'),
+
+		/**
+		 * Time of the last poll of the revocations collection
+		 *
+		 * @type {String}
+		 */
+		polled: null,
+
+		/**
+		 * Cache lookups, by result: hit or miss
+		 *
+		 * @type {Object}
+		 */
+		lookups: libs.Metrics.counter('token_cache_lookups_total', 'Token cache lookups, by result: hit or miss'),
+
+		/**
+		 * Cache a token record, dropping the oldest entry when full
+		 *
+		 * @param  {String} jti    Token identifier
+		 * @param  {Object} record Token record, null when unknown
+		 *
+		 * @return {Object}        Token record
+		 *
+		 * @private
+		 */
+		store: function (jti, record) {
+
+			internals.entries.delete(jti);
+			if (internals.entries.size >= config.security.cache.size) {
+				internals.entries.delete(internals.entries.keys().next().value);
+			}
+			internals.entries.set(jti, {
+				record:		record,
+				expires:	Date.now() + libs.ms(config.security.cache.ttl)
+			});
+			return record;
+		},
+
+		/**
+		 * Checks whether a cached record matches filters: values or {$in: [values]}
+		 *
+		 * @param  {Object}  record  Token record, or {jti} for unknown tokens
+		 * @param  {Object}  filters Filters
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		matches: function (record, filters) {
+
+			return libs._.every(filters, function (condition, field) {
+
+				if (libs._.isObject(condition) && libs._.has(condition, '$in')) {
+					return libs._.contains(condition.$in, record[field]);
+				}
+				return record[field] === condition;
+			});
+		},
+
+		/**
+		 * Evict the cached records matching filters
+		 *
+		 * @param  {Object} filters Filters of the changed token records, e.g. {user: 'bob'}
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		evict: function (filters) {
+
+			internals.entries.forEach(function (entry, jti) {
+
+				if (internals.matches(entry.record || {jti: jti}, filters)) {
+					internals.entries.delete(jti);
+				}
+			});
+			libs._.each(internals.listeners, function (listener) {
+
+				listener(filters);
+			});
+		},
+
+		/**
+		 * Filters of a revocation. They are stored as JSON, as MongoDB refuses
+		 * operator keys ($in) in documents
+		 *
+		 * @param  {Object} revocation Revocation row
+		 *
+		 * @return {Object}            Filters
+		 *
+		 * @private
+		 */
+		filters: function (revocation) {
+
+			return libs._.isString(revocation.filters) ? JSON.parse(revocation.filters) : revocation.filters;
+		},
+
+		/**
+		 * Evict the records changed by other instances since the last poll, and
+		 * remove revocations older than the cache TTL, which no cache can hold anymore.
+		 * Revocations of the last poll's second are read again; evicting twice is harmless
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		poll: function () {
+
+			var now = libs.moment().format();
+			var filters = {
+				time:		{ $gte: internals.polled },
+				instance:	{ $ne: internals.instance }
+			};
+
+			return libs.Database.list('revocations', filters)
+				.then(function (revocations) {
+
+					libs._.each(libs._.map(revocations, internals.filters), internals.evict);
+					internals.polled = now;
+					return libs.Database.remove('revocations', {
+						time: { $lt: libs.moment().subtract(libs.ms(config.security.cache.ttl) * 2, 'ms').format() }
+					});
+				})
+				.catch(libs.console.warn.bind(libs.console, 'Polling token revocations failed:'));
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Find the record of a decoded token, whatever its status
+		 *
+		 * @param  {Object}  token Decoded token: jti & id
+		 *
+		 * @return {Promise}       Resolves with the token record, or undefined when unknown
+		 *                         or without a jti (never looked up)
+		 *
+		 * @public
+		 */
+		lookup: function (token) {
+
+			var entry = internals.entries.get(token.jti);
+			var filters = {
+				jti:	token.jti,
+				user:	token.id
+			};
+
+			if (!libs._.isString(token.jti) || !libs._.isString(token.id)) {
+				return libs.Promise.resolve();
+			}
+			if (config.security.cache.enabled && entry && entry.expires > Date.now() &&
+				(!entry.record || entry.record.user === token.id)) {
+				internals.lookups.inc({result: 'hit'});
+				return libs.Promise.resolve(entry.record || undefined);
+			}
+
+			internals.lookups.inc({result: 'miss'});
+			return libs.Database.list('tokens', filters)
+				.then(libs._.first)
+				.tap(function (record) {
+
+					if (config.security.cache.enabled) {
+						internals.store(token.jti, record || null);
+					}
+				});
+		},
+
+		/**
+		 * Evict changed token records, here & on the other instances
+		 *
+		 * @param  {Object}  filters Filters of the changed token records, e.g. {family: '...'}
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		invalidate: function (filters) {
+
+			internals.evict(filters);
+			if (!config.security.cache.enabled) {
+				return libs.Promise.resolve();
+			}
+			return libs.Database.insert('revocations', [{
+				time:		libs.moment().format(),
+				instance:	internals.instance,
+				filters:	JSON.stringify(filters)
+			}]);
+		},
+
+		/**
+		 * Be told of evictions, here & on other instances, e.g. for evicting entries
+		 * of other caches: filters not matching token records (e.g. {role: 'auditor'})
+		 * are passed on all the same
+		 *
+		 * @param  {Function} listener Called with the filters of every eviction
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		subscribe: function (listener) {
+
+			internals.listeners.push(listener);
+		},
+
+		/**
+		 * Poll for revocations of other instances, every config.security.cache.poll
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		start: function () {
+
+			if (config.security.cache.enabled) {
+				internals.polled = libs.moment().format();
+				setInterval(internals.poll, libs.ms(config.security.cache.poll)).unref();
+			}
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	ms:			require('ms'),
+	crypto:		require('crypto'),
+	moment:		require('moment'),
+	Promise:	require('bluebird/js/release/promise')(),
+	console:	require(config.path + 'utilities/Console'),
+	Database:	require(config.path + 'utilities/Database'),
+	Metrics:	require(config.path + 'utilities/Metrics')
+});
@@ -0,0 +1,142 @@
+/**
+ * Token usage: last used time, last IP & request count per token. Usage is
+ * buffered by jti and written to the token records every
+ * config.security.usage.flush, rather than once per request
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Token usage recorder
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Usage not written yet, by jti: {lastUsed, lastIp, uses}
+		 *
+		 * @type {Map}
+		 */
+		pending: new Map(),
+
+		/**
+		 * Write the usage of a token. Records removed in the meantime are not recreated
+		 *
+		 * @param  {Object}  usage Usage: lastUsed, lastIp & uses
+		 * @param  {String}  jti   Token identifier
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		write: function (usage, jti) {
+
+			return libs.Database.update('tokens', {jti: jti}, {
+				lastUsed:	usage.lastUsed,
+				lastIp:		usage.lastIp
+			}, {
+				uses:		usage.uses
+			});
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Record a request made with a token
+		 *
+		 * @param  {Object} request Authenticated request
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		record: function (request) {
+
+			var usage = internals.pending.get(request.token.jti) || {uses: 0};
+
+			usage.lastUsed = libs.moment().format();
+			usage.lastIp = request.ip;
+			usage.uses += 1;
+			internals.pending.set(request.token.jti, usage);
+		},
+
+		/**
+		 * Add the usage not written yet to token records
+		 *
+		 * @param  {Array} records Token records
+		 *
+		 * @return {Array}         Token records, with up to date usage
+		 *
+		 * @public
+		 */
+		overlay: function (records) {
+
+			return libs._.map(records, function (record) {
+
+				var usage = internals.pending.get(record.jti);
+
+				if (!usage) {
+					return record;
+				}
+				return libs._.extend({}, record, {
+					lastUsed:	usage.lastUsed,
+					lastIp:		usage.lastIp,
+					uses:		(record.uses || 0) + usage.uses
+				});
+			});
+		},
+
+		/**
+		 * Write the buffered usage
+		 *
+		 * @return {Promise} Resolves when written
+		 *
+		 * @public
+		 */
+		flush: function () {
+
+			var batch = internals.pending;
+
+			internals.pending = new Map();
+			return libs.Promise.map(Array.from(batch.keys()), function (jti) {
+
+				return internals.write(batch.get(jti), jti);
+			}, {concurrency: 10})
+				.catch(libs.console.warn.bind(libs.console, 'Writing token usage failed:'));
+		},
+
+		/**
+		 * Write the buffered usage every config.security.usage.flush
+		 *
+		 * @return {void}
+		 *
+		 * @public
+		 */
+		start: function () {
+
+			setInterval(api.flush, libs.ms(config.security.usage.flush)).unref();
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	ms:			require('ms'),
+	moment:		require('moment'),
+	Promise:	require('bluebird/js/release/promise')(),
+	console:	require(config.path + 'utilities/Console'),
+	Database:	require(config.path + 'utilities/Database')
+});
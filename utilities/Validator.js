@@ -0,0 +1,146 @@
+/**
+ * Request validation, based on JSON Schemas declared by routes:
+ * { url, method, actions, schema: { body, params, query } }
+ * Params & query values are strings, so they are coerced to the declared types.
+ * Besides the standard formats, strings may use the 'duration' format, e.g. '7 days'
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Validator
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Validated request properties, in order
+		 *
+		 * @type {Array}
+		 */
+		locations: ['params', 'query', 'body'],
+
+		/**
+		 * Schema compilers: strict types for the body, coerced types for params & query
+		 *
+		 * @type {Object}
+		 */
+		compilers: {
+			strict:		new libs.Ajv({allErrors: true}),
+			coerced:	new libs.Ajv({allErrors: true, coerceTypes: true})
+		},
+
+		/**
+		 * Checks whether a string is a timespan, e.g. '24 hours'
+		 *
+		 * @param  {String}  value Value
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		duration: function (value) {
+
+			return value.length > 0 && libs.ms(value) > 0;
+		},
+
+		/**
+		 * Convert a validation error to a failed field & message
+		 *
+		 * @param  {String} location Request property: params, query or body
+		 * @param  {Object} error    Validation error
+		 *
+		 * @return {Object}          Field & message
+		 *
+		 * @private
+		 */
+		detail: function (location, error) {
+
+			var field = location + error.dataPath;
+
+			if (error.keyword === 'required') {
+				field += '.' + error.params.missingProperty;
+			}
+			return {
+				field:		field,
+				message:	error.message
+			};
+		},
+
+		/**
+		 * Validate a request property
+		 *
+		 * @param  {Object}   validators Compiled validators, by location
+		 * @param  {Object}   request    Request
+		 * @param  {String}   location   Request property: params, query or body
+		 *
+		 * @return {Array}               Failed fields & messages
+		 *
+		 * @private
+		 */
+		check: function (validators, request, location) {
+
+			var validate = validators[location];
+
+			if (!validate || validate(request[location])) {
+				return [];
+			}
+			return libs._.map(validate.errors, libs._.partial(internals.detail, location));
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Create a middleware validating requests against a route schema.
+		 * Invalid requests are refused with an InvalidPayloadError listing the failed fields
+		 *
+		 * @param  {Object}   schema JSON Schemas for body, params & query, each optional
+		 *
+		 * @return {Function}        Middleware function
+		 *
+		 * @public
+		 */
+		validate: function (schema) {
+
+			var validators = libs._.mapObject(libs._.pick(schema, internals.locations), function (definition, location) {
+
+				return internals.compilers[location === 'body' ? 'strict' : 'coerced'].compile(definition);
+			});
+
+			return function (request, response, next) {
+
+				var details = libs._.flatten(libs._.map(internals.locations,
+					libs._.partial(internals.check, validators, request)), true);
+
+				if (details.length > 0) {
+					next({name: 'InvalidPayloadError', details: details});
+				} else {
+					next();
+				}
+			};
+		}
+	};
+
+	libs._.each(internals.compilers, function (compiler) {
+
+		compiler.addFormat('duration', internals.duration);
+	});
+	return api;
+
+})({
+	_:		require('underscore'),
+	ms:		require('ms'),
+	Ajv:	require('ajv')
+});
@@ -0,0 +1,609 @@
+/**
+ * In-memory storage adapter, for running without a database (development, CI).
+ * Supports the subset of MongoDB filters, sorting & updates used by the application
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Storage adapter, returning MongoDB-like responses
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Stored rows, by collection name
+		 *
+		 * @type {Object}
+		 */
+		collections: {},
+
+		/**
+		 * Get (or create) a collection
+		 *
+		 * @param  {String} name Collection name
+		 *
+		 * @return {Array}       Rows
+		 *
+		 * @private
+		 */
+		collection: function (name) {
+
+			internals.collections[name] = internals.collections[name] || [];
+			return internals.collections[name];
+		},
+
+		/**
+		 * Deep copy a row, so stored rows can't be changed by reference
+		 *
+		 * @param  {Object} row Row
+		 *
+		 * @return {Object}     Copy
+		 *
+		 * @private
+		 */
+		copy: function (row) {
+
+			return JSON.parse(JSON.stringify(row));
+		},
+
+		/**
+		 * Read a value from a row, based on a (dotted) path
+		 *
+		 * @param  {Object} row  Row
+		 * @param  {String} path Field path, e.g. 'info.error'
+		 *
+		 * @return {*}           Value, or undefined
+		 *
+		 * @private
+		 */
+		get: function (row, path) {
+
+			return libs._.reduce(path.split('.'), function (value, key) {
+
+				return libs._.isObject(value) ? value[key] : undefined;
+			}, row);
+		},
+
+		/**
+		 * Checks whether a value equals an expected value. Like MongoDB,
+		 * an array matches when any of its elements is equal and
+		 * null matches missing values
+		 *
+		 * @param  {*}       value    Row value
+		 * @param  {*}       expected Expected value
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		equals: function (value, expected) {
+
+			if (expected === null && libs._.isUndefined(value)) {
+				return true;
+			}
+			if (libs._.isArray(value) && !libs._.isArray(expected)) {
+				return libs._.some(value, libs._.partial(libs._.isEqual, expected));
+			}
+			return libs._.isEqual(value, expected);
+		},
+
+		/**
+		 * Compare a value with a comparison function. Only values of the
+		 * same type are compared, arrays match when any element matches
+		 *
+		 * @param  {*}        value    Row value
+		 * @param  {*}        expected Value to compare with
+		 * @param  {Function} compare  Comparison function
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		compare: function (value, expected, compare) {
+
+			if (libs._.isArray(value)) {
+				return libs._.some(value, libs._.partial(internals.compare, libs._, expected, compare));
+			}
+			return typeof value === typeof expected && !libs._.isUndefined(value) && compare(value, expected);
+		},
+
+		/**
+		 * Supported query operators
+		 *
+		 * @type {Object}
+		 */
+		operators: {
+
+			$eq: function (value, expected) {
+
+				return internals.equals(value, expected);
+			},
+
+			$ne: function (value, expected) {
+
+				return !internals.equals(value, expected);
+			},
+
+			$in: function (value, expected) {
+
+				return libs._.some(expected, libs._.partial(internals.equals, value));
+			},
+
+			$nin: function (value, expected) {
+
+				return !internals.operators.$in(value, expected);
+			},
+
+			$gt: function (value, expected) {
+
+				return internals.compare(value, expected, function (a, b) { return a > b; });
+			},
+
+			$gte: function (value, expected) {
+
+				return internals.compare(value, expected, function (a, b) { return a >= b; });
+			},
+
+			$lt: function (value, expected) {
+
+				return internals.compare(value, expected, function (a, b) { return a < b; });
+			},
+
+			$lte: function (value, expected) {
+
+				return internals.compare(value, expected, function (a, b) { return a <= b; });
+			},
+
+			$exists: function (value, expected) {
+
+				return libs._.isUndefined(value) !== !!expected;
+			},
+
+			$regex: function (value, expected, condition) {
+
+				var pattern = libs._.isRegExp(expected) ? expected : new RegExp(expected, condition.$options);
+
+				return internals.compare(value, '', function (a) { return pattern.test(a); });
+			},
+
+			$options: function () {
+
+				// Handled by $regex
+				return true;
+			}
+		},
+
+		/**
+		 * Checks whether a condition is made of operators, e.g. {$gt: 1}
+		 *
+		 * @param  {*}       condition Filter condition
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		isOperator: function (condition) {
+
+			var keys = libs._.isObject(condition) && !libs._.isArray(condition) && !libs._.isRegExp(condition) ?
+				libs._.keys(condition) : [];
+
+			return keys.length > 0 && libs._.every(keys, function (key) {
+
+				return key.charAt(0) === '$';
+			});
+		},
+
+		/**
+		 * Checks whether a row value satisfies a condition
+		 *
+		 * @param  {*}       value     Row value
+		 * @param  {*}       condition Expected value, RegExp or operators
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		satisfies: function (value, condition) {
+
+			if (libs._.isRegExp(condition)) {
+				return internals.operators.$regex(value, condition, {});
+			}
+			if (!internals.isOperator(condition)) {
+				return internals.equals(value, condition);
+			}
+			return libs._.every(condition, function (expected, operator) {
+
+				if (!libs._.has(internals.operators, operator)) {
+					throw new Error('Unsupported query operator ' + operator);
+				}
+				return internals.operators[operator](value, expected, condition);
+			});
+		},
+
+		/**
+		 * Checks whether a row matches filters
+		 *
+		 * @param  {Object}  filters Filters
+		 * @param  {Object}  row     Row
+		 *
+		 * @return {Boolean}
+		 *
+		 * @private
+		 */
+		match: function (filters, row) {
+
+			return libs._.every(filters || {}, function (condition, key) {
+
+				if (key === '$or') {
+					return libs._.some(condition, libs._.partial(internals.match, libs._, row));
+				}
+				if (key === '$and') {
+					return libs._.every(condition, libs._.partial(internals.match, libs._, row));
+				}
+				return internals.satisfies(internals.get(row, key), condition);
+			});
+		},
+
+		/**
+		 * Sort rows, MongoDB style: {time: -1, name: 1}
+		 *
+		 * @param  {Array}  rows Rows
+		 * @param  {Object} sort Sort options
+		 *
+		 * @return {Array}       Sorted rows
+		 *
+		 * @private
+		 */
+		sort: function (rows, sort) {
+
+			return rows.slice().sort(function (a, b) {
+
+				var result = 0;
+				libs._.find(sort, function (direction, key) {
+
+					var first = internals.get(a, key);
+					var second = internals.get(b, key);
+
+					if (first === second) {
+						return false;
+					}
+					if (libs._.isUndefined(first) || first < second) {
+						result = -direction;
+					} else {
+						result = direction;
+					}
+					return true;
+				});
+				return result;
+			});
+		},
+
+		/**
+		 * Keep only the projected fields of a row, e.g. {user: 1, time: 1}.
+		 * Like MongoDB, the _id is kept unless excluded explicitly
+		 *
+		 * @param  {Object} projection Projection
+		 * @param  {Object} row        Row
+		 *
+		 * @return {Object}            Projected row
+		 *
+		 * @private
+		 */
+		project: function (projection, row) {
+
+			var fields = libs._.keys(libs._.pick(projection, libs._.identity));
+
+			if (projection._id !== 0) {
+				fields.push('_id');
+			}
+			return libs._.pick(row, fields);
+		},
+
+		/**
+		 * Equality conditions of filters, used as initial values when upserting
+		 *
+		 * @param  {Object} filters Filters
+		 *
+		 * @return {Object}         Fields & values
+		 *
+		 * @private
+		 */
+		seed: function (filters) {
+
+			return libs._.omit(filters, function (condition, key) {
+
+				return key.charAt(0) === '$' || key.indexOf('.') !== -1 ||
+					internals.isOperator(condition) || libs._.isRegExp(condition);
+			});
+		},
+
+		/**
+		 * Create a MongoDB-like row ID
+		 *
+		 * @return {String} 24 character hex string
+		 *
+		 * @private
+		 */
+		id: function () {
+
+			return libs.crypto.randomBytes(12).toString('hex');
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Connect to the in-memory database. The URL is ignored
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		connect: function () {
+
+			return libs.Promise.resolve();
+		},
+
+		/**
+		 * Close the in-memory database. Rows are kept
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		close: function () {
+
+			return libs.Promise.resolve();
+		},
+
+		/**
+		 * Checks whether the connection is usable, always true
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		ping: function () {
+
+			return libs.Promise.resolve();
+		},
+
+		/**
+		 * Create an index: nothing to do, rows are scanned & changed synchronously
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		index: function () {
+
+			return libs.Promise.resolve();
+		},
+
+		/**
+		 * Convert a row ID from its string form: IDs are stored as strings
+		 *
+		 * @param  {String} id Row ID
+		 *
+		 * @return {String}    Row ID
+		 *
+		 * @public
+		 */
+		id: function (id) {
+
+			return id;
+		},
+
+		/**
+		 * Insert or update a row
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} data       Data to be interted or updated
+		 * @param  {Object} filters    Filters for selecting data, when updating. Omit when inserting
+		 *
+		 * @return {Promise}           Resolves with a findAndModify-like response
+		 *
+		 * @public
+		 */
+		upsert: function (collection, data, filters) {
+
+			return libs.Promise.try(function () {
+
+				var rows = internals.collection(collection);
+				var row = filters ? libs._.find(rows, libs._.partial(internals.match, filters)) : null;
+				var existing = !!row;
+
+				if (!row) {
+					row = libs._.extend(internals.copy(filters ? internals.seed(filters) : {}), {_id: internals.id()});
+					rows.push(row);
+				}
+				libs._.extend(row, internals.copy(data));
+
+				return {
+					ok:					1,
+					value:				internals.copy(row),
+					lastErrorObject:	{ updatedExisting: existing, n: 1 }
+				};
+			});
+		},
+
+		/**
+		 * Increment counters of a row, inserting it when missing
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} counters   Fields & amounts to be added, e.g. {count: 1}
+		 * @param  {Object} data       Other fields to be set, optional
+		 *
+		 * @return {Promise}           Resolves with a findAndModify-like response
+		 *
+		 * @public
+		 */
+		increment: function (collection, filters, counters, data) {
+
+			return api.upsert(collection, data || {}, filters)
+				.then(function (response) {
+
+					var row = libs._.find(internals.collection(collection), libs._.matcher({_id: response.value._id}));
+
+					libs._.each(counters, function (amount, field) {
+
+						row[field] = (row[field] || 0) + amount;
+					});
+					response.value = internals.copy(row);
+					return response;
+				});
+		},
+
+		/**
+		 * Insert several rows at once
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Array}  rows       Rows to be inserted
+		 * @param  {Object} options    insertMany options, ignored: rows can't fail individually
+		 *
+		 * @return {Promise}           Resolves with an insertMany-like response
+		 *
+		 * @public
+		 */
+		insert: function (collection, rows, options) {
+
+			return libs.Promise.try(function () {
+
+				libs._.each(rows, function (row) {
+
+					internals.collection(collection).push(libs._.extend(internals.copy(row), {_id: internals.id()}));
+				});
+				return {
+					result: { ok: 1, n: rows.length }
+				};
+			});
+		},
+
+		/**
+		 * Update fields of one or more rows. Rows are never inserted
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} data       Fields to be set
+		 * @param  {Object} counters   Fields & amounts to be added, e.g. {count: 1}, optional
+		 * @param  {Object} appends    List fields & values to be appended, e.g. {history: {...}}, optional
+		 *
+		 * @return {Promise}           Resolves with an updateMany-like response
+		 *
+		 * @public
+		 */
+		update: function (collection, filters, data, counters, appends) {
+
+			return libs.Promise.try(function () {
+
+				var rows = libs._.filter(internals.collection(collection), libs._.partial(internals.match, filters));
+
+				libs._.each(rows, function (row) {
+
+					libs._.extend(row, internals.copy(data));
+					libs._.each(counters, function (amount, field) {
+
+						row[field] = (row[field] || 0) + amount;
+					});
+					libs._.each(appends, function (value, field) {
+
+						row[field] = (row[field] || []).concat([internals.copy(value)]);
+					});
+				});
+				return {
+					result: { ok: 1, n: rows.length, nModified: rows.length }
+				};
+			});
+		},
+
+		/**
+		 * Delete one or more rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 *
+		 * @return {Promise}           Resolves with a deleteMany-like response
+		 *
+		 * @public
+		 */
+		remove: function (collection, filters) {
+
+			return libs.Promise.try(function () {
+
+				var rows = libs._.partition(internals.collection(collection), libs._.partial(internals.match, filters));
+
+				internals.collections[collection] = rows[1];
+				return {
+					result: { ok: 1, n: rows[0].length }
+				};
+			});
+		},
+
+		/**
+		 * List one or more rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} sort       Sort options
+		 * @param  {Object} options    Paging & projection options: skip, limit & projection
+		 *
+		 * @return {Promise}           Resolves with an array of rows
+		 *
+		 * @public
+		 */
+		list: function (collection, filters, sort, options) {
+
+			options = options || {};
+			return libs.Promise.try(function () {
+
+				var rows = libs._.filter(internals.collection(collection), libs._.partial(internals.match, filters));
+
+				rows = (sort ? internals.sort(rows, sort) : rows)
+					.slice(options.skip || 0, options.limit ? (options.skip || 0) + options.limit : undefined);
+
+				if (options.projection) {
+					rows = libs._.map(rows, internals.project.bind(this, options.projection));
+				}
+				return libs._.map(rows, internals.copy);
+			});
+		},
+
+		/**
+		 * Count rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 *
+		 * @return {Promise}           Resolves with the number of rows
+		 *
+		 * @public
+		 */
+		count: function (collection, filters) {
+
+			return libs.Promise.try(function () {
+
+				return libs._.filter(internals.collection(collection), libs._.partial(internals.match, filters)).length;
+			});
+		}
+	};
+
+	return api;
+
+})({
+	_:			require('underscore'),
+	crypto:		require('crypto'),
+	Promise:	require('bluebird/js/release/promise')()
+});
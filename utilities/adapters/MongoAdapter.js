@@ -0,0 +1,335 @@
+/**
+ * MongoDB storage adapter
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Object}         Storage adapter, returning MongoDB driver responses
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Currently connected database
+		 *
+		 * @type {Object}
+		 */
+		database: null,
+
+		/**
+		 * On MongoDB connect handler
+		 *
+		 * @param  {Function} resolve  Promise resolve function
+		 * @param  {Function} reject   Promise reject function
+		 * @param  {Object}   error    Error or null
+		 * @param  {Object}   database MongoDB Database object
+		 *
+		 * @return {Promise}
+		 *
+		 * @private
+		 */
+		onConnect: function (resolve, reject, error, database) {
+
+			if (!error) {
+				internals.database = database;
+				resolve();
+			} else {
+				reject(error);
+			}
+		},
+
+		/**
+		 * Convert an insert response to the findAndModify response format
+		 *
+		 * @param  {Object} mongoResponse MongoDB insert response
+		 *
+		 * @return {Object}               MongoDB findAndModify-like response
+		 *
+		 * @private
+		 */
+		inserted: function (mongoResponse) {
+
+			return {
+				ok:		mongoResponse.result.ok,
+				value:	libs._.first(mongoResponse.ops)
+			};
+		}
+	};
+
+	/**
+	 * Public API exposed by this module
+	 *
+	 * @type {Object}
+	 */
+	var api = {
+
+		/**
+		 * Connect to a database, based on URL
+		 *
+		 * @param  {String} url Database connection URL
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		connect: function (url) {
+
+			var action = function (resolve, reject) {
+
+				var client = new libs.mongo.MongoClient();
+				client.connect(url, internals.onConnect.bind(this, resolve, reject));
+			};
+
+			return new libs.Promise(action);
+		},
+
+		/**
+		 * Close the connection, if open
+		 *
+		 * @return {Promise}
+		 *
+		 * @public
+		 */
+		close: function () {
+
+			var database = internals.database;
+
+			internals.database = null;
+			return libs.Promise.resolve(database ? database.close() : null);
+		},
+
+		/**
+		 * Checks whether the connection is usable
+		 *
+		 * @return {Promise} Resolves with the ping command response
+		 *
+		 * @public
+		 */
+		ping: function () {
+
+			if (!internals.database) {
+				return libs.Promise.reject(new Error('Not connected'));
+			}
+			return internals.database.command({ping: 1});
+		},
+
+		/**
+		 * Create an index, unless it exists
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} fields     Indexed fields & directions
+		 * @param  {Object} options    Index options
+		 *
+		 * @return {Promise}           Resolves with the index name
+		 *
+		 * @public
+		 */
+		index: function (collection, fields, options) {
+
+			return internals.database.collection(collection)
+				.createIndex(fields, options);
+		},
+
+		/**
+		 * Convert a row ID from its string form, e.g. for filters
+		 *
+		 * @param  {String} id Row ID, hex string
+		 *
+		 * @return {Object}    ObjectID
+		 *
+		 * @public
+		 */
+		id: function (id) {
+
+			return new libs.mongo.ObjectID(id);
+		},
+
+		/**
+		 * Insert or update a row
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} data       Data to be interted or updated
+		 * @param  {Object} filters    Filters for selecting data, when updating. Omit when inserting
+		 *
+		 * @return {Promise}           Resolves with a findAndModify response
+		 *
+		 * @public
+		 */
+		upsert: function (collection, data, filters) {
+
+			var sort = [];
+			var operation = {
+				$set: data
+			};
+			var options = {
+				upsert: true,
+				new: true
+			};
+
+			if (filters) {
+				return internals.database.collection(collection)
+					.findAndModify(filters, sort, operation, options);
+			} else {
+				return internals.database.collection(collection)
+					.insert(data)
+					.then(internals.inserted);
+			}
+		},
+
+		/**
+		 * Increment counters of a row, inserting it when missing
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} counters   Fields & amounts to be added, e.g. {count: 1}
+		 * @param  {Object} data       Other fields to be set, optional
+		 *
+		 * @return {Promise}           Resolves with a findAndModify response
+		 *
+		 * @public
+		 */
+		increment: function (collection, filters, counters, data) {
+
+			var sort = [];
+			var operation = {
+				$inc: counters
+			};
+			var options = {
+				upsert: true,
+				new: true
+			};
+
+			if (!libs._.isEmpty(data)) {
+				operation.$set = data;
+			}
+			return internals.database.collection(collection)
+				.findAndModify(filters, sort, operation, options);
+		},
+
+		/**
+		 * Insert several rows at once
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Array}  rows       Rows to be inserted
+		 * @param  {Object} options    insertMany options, optional
+		 *
+		 * @return {Promise}           Resolves with an insertMany response
+		 *
+		 * @public
+		 */
+		insert: function (collection, rows, options) {
+
+			return internals.database.collection(collection)
+				.insertMany(rows, options || {});
+		},
+
+		/**
+		 * Update fields of one or more rows. Rows are never inserted
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} data       Fields to be set
+		 * @param  {Object} counters   Fields & amounts to be added, e.g. {count: 1}, optional
+		 * @param  {Object} appends    List fields & values to be appended, e.g. {history: {...}}, optional
+		 *
+		 * @return {Promise}           Resolves with an updateMany response
+		 *
+		 * @public
+		 */
+		update: function (collection, filters, data, counters, appends) {
+
+			var operation = {
+				$set: data
+			};
+
+			if (!libs._.isEmpty(counters)) {
+				operation.$inc = counters;
+			}
+			if (!libs._.isEmpty(appends)) {
+				operation.$push = appends;
+			}
+			return internals.database.collection(collection)
+				.updateMany(filters, operation);
+		},
+
+		/**
+		 * Delete one or more rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 *
+		 * @return {Promise}           Resolves with a deleteMany response
+		 *
+		 * @public
+		 */
+		remove: function (collection, filters) {
+
+			return internals.database.collection(collection)
+				.deleteMany(filters);
+		},
+
+		/**
+		 * List one or more rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 * @param  {Object} sort       Sort options
+		 * @param  {Object} options    Paging & projection options: skip, limit & projection
+		 *
+		 * @return {Promise}           Resolves with an array of rows
+		 *
+		 * @public
+		 */
+		list: function (collection, filters, sort, options) {
+
+			var cursor = internals.database.collection(collection)
+				.find(filters || {});
+
+			options = options || {};
+			if (sort) {
+				cursor.sort(sort);
+			}
+			if (options.projection) {
+				cursor.project(options.projection);
+			}
+			if (options.skip) {
+				cursor.skip(options.skip);
+			}
+			if (options.limit) {
+				cursor.limit(options.limit);
+			}
+			return cursor.toArray();
+		},
+
+		/**
+		 * Count rows
+		 *
+		 * @param  {String} collection Collection name
+		 * @param  {Object} filters    Filters for selecting data
+		 *
+		 * @return {Promise}           Resolves with the number of rows
+		 *
+		 * @public
+		 */
+		count: function (collection, filters) {
+
+			return internals.database.collection(collection)
+				.count(filters || {});
+		}
+	};
+
+	libs.mongo = libs.Promise.promisifyAll(libs.mongo);
+	return api;
+
+})({
+	mongo:		require('mongodb'),
+	_:			require('underscore'),
+	Promise:	require('bluebird/js/release/promise')()
+});
@@ -0,0 +1,112 @@
+/**
+ * Google (Universal) Analytics adapter, opt-in. Client IDs are keyed hashes
+ * of user IDs, never tokens or raw IDs. Hits are sent per batch, grouped by user
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Adapter factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Queue a hit on a visitor
+		 *
+		 * @param  {Object} visitor Universal Analytics visitor
+		 * @param  {Object} hit     Hit
+		 *
+		 * @return {Object}         Visitor
+		 *
+		 * @private
+		 */
+		enqueue: function (visitor, hit) {
+
+			if (hit.type === 'exception') {
+				return visitor.exception({
+					exceptionDescription:	hit.error,
+					documentPath:			hit.route
+				});
+			}
+			return visitor.event({
+				eventCategory:	hit.route,
+				eventAction:	hit.method,
+				eventLabel:		String(hit.status)
+			});
+		}
+	};
+
+	/**
+	 * Create a Google Analytics adapter
+	 *
+	 * @param  {Object} settings Adapter settings: trackingId & salt of the hashed user IDs
+	 *
+	 * @return {Object}          Adapter
+	 *
+	 * @public
+	 */
+	return function (settings) {
+
+		var salt = settings.salt;
+
+		/**
+		 * Client ID of a user, the same for every hit of the user
+		 *
+		 * @param  {String} user User ID, null for unauthenticated requests
+		 *
+		 * @return {String}      Client ID
+		 *
+		 * @private
+		 */
+		var client = function (user) {
+
+			return libs.crypto.createHmac('sha256', salt).update(user || 'anonymous').digest('hex');
+		};
+
+		return {
+
+			/**
+			 * Whether hits should be recorded at all
+			 *
+			 * @type {Boolean}
+			 */
+			enabled: true,
+
+			/**
+			 * Send a batch of hits
+			 *
+			 * @param  {Array} hits Hits
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function (hits) {
+
+				return libs.Promise.map(libs._.values(libs._.groupBy(hits, 'user')), function (group) {
+
+					var visitor = libs.ua(settings.trackingId, client(libs._.first(group).user), {
+						https:				true,
+						strictCidFormat:	false
+					});
+
+					libs._.each(group, libs._.partial(internals.enqueue, visitor));
+					return libs.Promise.fromCallback(visitor.send.bind(visitor));
+				}, {concurrency: 1});
+			}
+		};
+	};
+
+})({
+	_:			require('underscore'),
+	ua:			require('universal-analytics'),
+	crypto:		require('crypto'),
+	Promise:	require('bluebird/js/release/promise')()
+});
@@ -0,0 +1,103 @@
+/**
+ * Local analytics adapter: usage aggregated in the database, one row per
+ * day, route, method & user, counting requests & errors
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Adapter factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Aggregate hits by day, route, method & user
+		 *
+		 * @param  {Array} hits Hits
+		 *
+		 * @return {Array}      Rows: filters & counters
+		 *
+		 * @private
+		 */
+		aggregate: function (hits) {
+
+			return libs._.chain(hits)
+				.groupBy(function (hit) {
+
+					return [libs.moment(hit.time).utc().format('YYYY-MM-DD'), hit.route, hit.method, hit.user].join(' ');
+				})
+				.map(function (group) {
+
+					var hit = libs._.first(group);
+
+					return {
+						filters: {
+							day:	libs.moment(hit.time).utc().format('YYYY-MM-DD'),
+							route:	hit.route,
+							method:	hit.method,
+							user:	hit.user
+						},
+						counters: {
+							requests:	libs._.where(group, {type: 'request'}).length,
+							errors:		libs._.where(group, {type: 'exception'}).length
+						}
+					};
+				})
+				.value();
+		}
+	};
+
+	/**
+	 * Create a local adapter
+	 *
+	 * @param  {Object} settings Adapter settings: collection
+	 *
+	 * @return {Object}          Adapter
+	 *
+	 * @public
+	 */
+	return function (settings) {
+
+		var collection = (settings && settings.collection) || 'analytics';
+
+		return {
+
+			/**
+			 * Whether hits should be recorded at all
+			 *
+			 * @type {Boolean}
+			 */
+			enabled: true,
+
+			/**
+			 * Add a batch of hits to the usage counters
+			 *
+			 * @param  {Array} hits Hits
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function (hits) {
+
+				return libs.Promise.map(internals.aggregate(hits), function (row) {
+
+					return libs.Database.increment(collection, row.filters, row.counters);
+				}, {concurrency: 1});
+			}
+		};
+	};
+
+})({
+	_:			require('underscore'),
+	moment:		require('moment'),
+	Promise:	require('bluebird/js/release/promise')(),
+	Database:	require(config.path + 'utilities/Database')
+});
@@ -0,0 +1,46 @@
+/**
+ * No-op analytics adapter, the default: nothing is recorded or sent
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Adapter factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Create a no-op adapter
+	 *
+	 * @return {Object} Adapter
+	 *
+	 * @public
+	 */
+	return function () {
+
+		return {
+
+			/**
+			 * Whether hits should be recorded at all
+			 *
+			 * @type {Boolean}
+			 */
+			enabled: false,
+
+			/**
+			 * Discard a batch of hits
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function () {
+
+				return libs.Promise.resolve();
+			}
+		};
+	};
+
+})({
+	Promise:	require('bluebird/js/release/promise')()
+});
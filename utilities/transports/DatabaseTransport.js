@@ -0,0 +1,99 @@
+/**
+ * Database log transport, writing to the logs collection
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Transport factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Make keys storable: MongoDB refuses '$' prefixed & dotted keys, which
+		 * request payloads may contain. Those characters are replaced by their
+		 * full width forms, recursively
+		 *
+		 * @param  {*} value Value, e.g. a request payload
+		 *
+		 * @return {*}       Value with storable keys
+		 *
+		 * @private
+		 */
+		sanitize: function (value) {
+
+			if (libs._.isArray(value)) {
+				return libs._.map(value, internals.sanitize);
+			}
+			if (!libs._.isObject(value) || libs._.isFunction(value) || libs._.isDate(value)) {
+				return value;
+			}
+			return libs._.reduce(libs._.keys(value), function (result, key) {
+
+				result[key.replace(/^\$/, '\uff04').replace(/\./g, '\uff0e')] = internals.sanitize(value[key]);
+				return result;
+			}, {});
+		},
+
+		/**
+		 * Convert a log record to a database row. Log entries (request, operation
+		 * & error) keep their own type, plain messages are stored with type 'log'.
+		 * Keys are sanitized, so that one odd payload can't fail a batch
+		 *
+		 * @param  {Object} record Log record
+		 *
+		 * @return {Object}        Row
+		 *
+		 * @private
+		 */
+		row: function (record) {
+
+			if (record.type) {
+				return internals.sanitize(libs._.omit(record, 'level', 'message'));
+			}
+			return internals.sanitize(libs._.extend({type: 'log'}, record));
+		}
+	};
+
+	/**
+	 * Create a database transport
+	 *
+	 * @param  {Object} settings Transport settings: collection
+	 *
+	 * @return {Object}          Transport
+	 *
+	 * @public
+	 */
+	return function (settings) {
+
+		var collection = (settings && settings.collection) || 'logs';
+
+		return {
+
+			/**
+			 * Write a batch of records. Unordered, so a failed row doesn't stop the others
+			 *
+			 * @param  {Array} records Log records
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function (records) {
+
+				return libs.Database.insert(collection, libs._.map(records, internals.row), {ordered: false});
+			}
+		};
+	};
+
+})({
+	_:			require('underscore'),
+	Database:	require(config.path + 'utilities/Database')
+});
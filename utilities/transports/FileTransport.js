@@ -0,0 +1,128 @@
+/**
+ * Rotating file log transport: one JSON line per record. When the file grows
+ * past the maximum size it is renamed to .1, .2 etc., keeping a number of files
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Transport factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Append data to a file
+		 *
+		 * @type {Function}
+		 */
+		append: libs.Promise.promisify(libs.fs.appendFile),
+
+		/**
+		 * Rename a file, ignoring missing files
+		 *
+		 * @param  {String} from Current path
+		 * @param  {String} to   New path
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		rename: function (from, to) {
+
+			if (libs.fs.existsSync(from)) {
+				libs.fs.renameSync(from, to);
+			}
+		},
+
+		/**
+		 * Rotate log files: file.(n-1) to file.n, ..., file to file.1
+		 *
+		 * @param  {Object} options Transport options: path & files
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		rotate: function (options) {
+
+			libs._.each(libs._.range(options.files - 1, 0, -1), function (index) {
+
+				internals.rename(options.path + '.' + index, options.path + '.' + (index + 1));
+			});
+			internals.rename(options.path, options.path + '.1');
+		},
+
+		/**
+		 * Current size of a file
+		 *
+		 * @param  {String} file File path
+		 *
+		 * @return {Number}      Size in bytes, 0 for missing files
+		 *
+		 * @private
+		 */
+		size: function (file) {
+
+			return libs.fs.existsSync(file) ? libs.fs.statSync(file).size : 0;
+		}
+	};
+
+	/**
+	 * Create a rotating file transport
+	 *
+	 * @param  {Object} settings Transport settings: path, size (bytes) & files
+	 *
+	 * @return {Object}          Transport
+	 *
+	 * @public
+	 */
+	return function (settings) {
+
+		var options = libs._.defaults({}, settings, {
+			size: 10 * 1024 * 1024,
+			files: 5
+		});
+		var size;
+
+		options.path = libs.path.resolve(config.path, options.path);
+		libs.fs.mkdirSync(libs.path.dirname(options.path), {recursive: true});
+		size = internals.size(options.path);
+
+		return {
+
+			/**
+			 * Write a batch of records, rotating the file when it gets too large
+			 *
+			 * @param  {Array} records Log records
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function (records) {
+
+				var data = libs._.map(records, JSON.stringify).join('\n') + '\n';
+
+				if (size > 0 && size + Buffer.byteLength(data) > options.size) {
+					internals.rotate(options);
+					size = 0;
+				}
+				size += Buffer.byteLength(data);
+				return internals.append(options.path, data);
+			}
+		};
+	};
+
+})({
+	_:			require('underscore'),
+	fs:			require('fs'),
+	path:		require('path'),
+	Promise:	require('bluebird/js/release/promise')()
+});
@@ -0,0 +1,45 @@
+/**
+ * Standard output log transport: one JSON line per record
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Transport factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Create a stdout transport
+	 *
+	 * @return {Object} Transport
+	 *
+	 * @public
+	 */
+	return function () {
+
+		return {
+
+			/**
+			 * Write a batch of records
+			 *
+			 * @param  {Array} records Log records
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function (records) {
+
+				return new libs.Promise(function (resolve) {
+
+					process.stdout.write(libs._.map(records, JSON.stringify).join('\n') + '\n', resolve);
+				});
+			}
+		};
+	};
+
+})({
+	_:			require('underscore'),
+	Promise:	require('bluebird/js/release/promise')()
+});
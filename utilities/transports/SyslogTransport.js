@@ -0,0 +1,235 @@
+/**
+ * Syslog transport (RFC 5424 messages) over UDP (127.0.0.1:514 by default), or
+ * a UNIX stream socket when a path is given. Failed sockets are reopened
+ *
+ * @param  {Object}    libs Libraries used by this module
+ *
+ * @return {Function}       Transport factory
+ *
+ * @public
+ */
+module.exports = (function (libs) {
+
+	/**
+	 * Internal utilities used by this module
+	 *
+	 * @type {Object}
+	 */
+	var internals = {
+
+		/**
+		 * Syslog severities, by log level
+		 *
+		 * @type {Object}
+		 */
+		severities: {
+			debug:	7,
+			info:	6,
+			warn:	4,
+			error:	3
+		},
+
+		/**
+		 * Format a record as a syslog message
+		 *
+		 * @param  {Object} options Transport options: facility & app
+		 * @param  {Object} record  Log record
+		 *
+		 * @return {String}         Syslog message
+		 *
+		 * @private
+		 */
+		format: function (options, record) {
+
+			var priority = options.facility * 8 + (internals.severities[record.level] || internals.severities.info);
+
+			return [
+				'<' + priority + '>1',
+				record.time,
+				libs.os.hostname(),
+				options.app,
+				process.pid,
+				'-',
+				'-',
+				JSON.stringify(record)
+			].join(' ');
+		},
+
+		/**
+		 * Delay before reopening a failed socket, in ms
+		 *
+		 * @type {Number}
+		 */
+		delay: libs.ms('5 seconds'),
+
+		/**
+		 * Keep a socket open: reopened on the next write after it failed or closed,
+		 * once the reopening delay has passed. Messages written meanwhile are dropped
+		 *
+		 * @param  {Function} open Opens a socket
+		 *
+		 * @return {Function}      Returns the open socket, or null while reopening is delayed
+		 *
+		 * @private
+		 */
+		connection: function (open) {
+
+			var state = {
+				socket:	null,
+				retry:	0
+			};
+
+			return function () {
+
+				if (state.socket || Date.now() < state.retry) {
+					return state.socket;
+				}
+
+				var socket = open();
+
+				socket.on('error', function (error) {
+
+					internals.failure(error);
+					state.retry = error.code === 'EPROTOTYPE' ? Infinity : Date.now() + internals.delay;
+					if (state.socket === socket) {
+						state.socket = null;
+					}
+					if (libs._.isFunction(socket.destroy)) {
+						socket.destroy();
+					} else {
+						socket.close();
+					}
+				});
+				socket.on('close', function () {
+
+					if (state.socket === socket) {
+						state.socket = null;
+					}
+				});
+				socket.unref();
+				state.socket = socket;
+				return socket;
+			};
+		},
+
+		/**
+		 * Open a UNIX stream socket connection. Datagram sockets (often /dev/log)
+		 * can't be written by Node, use UDP for those
+		 *
+		 * @param  {Object} options Transport options: path
+		 *
+		 * @return {Object}         Sender
+		 *
+		 * @private
+		 */
+		stream: function (options) {
+
+			var connect = internals.connection(libs.net.createConnection.bind(libs.net, options.path));
+
+			return {
+				send: function (messages) {
+
+					var socket = connect();
+
+					return new libs.Promise(function (resolve) {
+
+						if (!socket) {
+							return resolve();
+						}
+						socket.write(messages.join('\n') + '\n', resolve);
+					});
+				}
+			};
+		},
+
+		/**
+		 * Open a UDP socket
+		 *
+		 * @param  {Object} options Transport options: host & port
+		 *
+		 * @return {Object}         Sender
+		 *
+		 * @private
+		 */
+		datagram: function (options) {
+
+			var connect = internals.connection(libs.dgram.createSocket.bind(libs.dgram, 'udp4'));
+
+			return {
+				send: function (messages) {
+
+					var socket = connect();
+
+					return libs.Promise.all(libs._.map(socket ? messages : [], function (message) {
+
+						return new libs.Promise(function (resolve) {
+
+							socket.send(Buffer.from(message), options.port, options.host, resolve);
+						});
+					}));
+				}
+			};
+		},
+
+		/**
+		 * Report a socket failure. Logging must never take the process down
+		 *
+		 * @param  {Error} error Socket error
+		 *
+		 * @return {void}
+		 *
+		 * @private
+		 */
+		failure: function (error) {
+
+			var hint = error.code === 'EPROTOTYPE' ? ' (datagram socket, use host & port instead)' : '';
+
+			process.stderr.write('Syslog transport: ' + error.message + hint + '\n');
+		}
+	};
+
+	/**
+	 * Create a syslog transport
+	 *
+	 * @param  {Object} settings Transport settings: path, or host & port; facility & app
+	 *
+	 * @return {Object}          Transport
+	 *
+	 * @public
+	 */
+	return function (settings) {
+
+		var options = libs._.defaults({}, settings, {
+			host: '127.0.0.1',
+			port: 514,
+			facility: 16,
+			app: 'hydra'
+		});
+		var sender = options.path ? internals.stream(options) : internals.datagram(options);
+
+		return {
+
+			/**
+			 * Write a batch of records
+			 *
+			 * @param  {Array} records Log records
+			 *
+			 * @return {Promise}
+			 *
+			 * @public
+			 */
+			write: function (records) {
+
+				return sender.send(libs._.map(records, libs._.partial(internals.format, options)));
+			}
+		};
+	};
+
+})({
+	_:			require('underscore'),
+	ms:			require('ms'),
+	os:			require('os'),
+	net:		require('net'),
+	dgram:		require('dgram'),
+	Promise:	require('bluebird/js/release/promise')()
+});